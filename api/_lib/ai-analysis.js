@@ -0,0 +1,146 @@
+// 個股 AI 分析的資料整理、提示詞與 Server-Sent Events 格式
+// 檔案路徑: /api/_lib/ai-analysis.js
+// 由 get-stock-data.js 的 AI 分析使用；LLM 呼叫與 KV 快取在 get-stock-data.js，這裡只處理純資料
+
+import { createHash } from 'node:crypto';
+import { macd, sma } from './indicators.js';
+import { aggregateCandles } from './candles.js';
+import { renderPrompt } from './prompts/index.js';
+
+// 前端送來的掃描訊號只取規則名稱，數量與長度設上限，避免塞進過長的提示詞
+const MAX_SIGNALS_PER_SIDE = 10;
+const MAX_SIGNAL_LABEL_LENGTH = 50;
+export const ANALYSIS_HEADLINE_COUNT = 5;
+
+const round2 = (value) => (value === null || !Number.isFinite(value) ? null : Math.round(value * 100) / 100);
+
+// MACD 目前位於訊號線上方或下方，以及最近 5 根 K 線內是否發生交叉
+export function getMacdState(closes, lookback = 5) {
+  const { macd: macdLine, signal } = macd(closes);
+  const n = closes.length;
+  if (n === 0 || signal[n - 1] === null) return null;
+
+  let cross = null;
+  let barsAgo = null;
+  for (let i = n - 1; i >= Math.max(1, n - lookback); i--) {
+    if (signal[i - 1] === null) break;
+    const before = macdLine[i - 1] - signal[i - 1];
+    const after = macdLine[i] - signal[i];
+    if (before <= 0 && after > 0) cross = 'golden';
+    else if (before >= 0 && after < 0) cross = 'death';
+    if (cross) {
+      barsAgo = n - 1 - i;
+      break;
+    }
+  }
+
+  return {
+    position: macdLine[n - 1] >= signal[n - 1] ? 'above' : 'below',
+    aboveZero: macdLine[n - 1] >= 0,
+    cross,
+    barsAgo
+  };
+}
+
+// 週線趨勢：最新週收盤與 10 週均線的位置，加上近 4 週漲跌幅
+export function getWeeklyTrend(dailyCandles) {
+  const weekly = aggregateCandles(dailyCandles, 'W');
+  if (weekly.length < 5) return null;
+  const closes = weekly.map(candle => candle.close);
+  const latest = closes[closes.length - 1];
+  const ma10 = sma(closes, 10)[closes.length - 1];
+  const changePercent = ((latest - closes[closes.length - 5]) / closes[closes.length - 5]) * 100;
+
+  let trend = 'sideways';
+  if (changePercent > 3 && (ma10 === null || latest > ma10)) trend = 'uptrend';
+  else if (changePercent < -3 && (ma10 === null || latest < ma10)) trend = 'downtrend';
+
+  return {
+    trend,
+    weeks: weekly.length,
+    fourWeekChangePercent: round2(changePercent),
+    ma10: round2(ma10),
+    aboveMa10: ma10 === null ? null : latest > ma10
+  };
+}
+
+// 最近 days 個日曆天內的最高價與最低價
+export function getRecentRange(candles, days = 30, now = new Date()) {
+  const since = new Date(now.getTime() - days * 86400000).toISOString().slice(0, 10);
+  const recent = (candles || []).filter(candle => String(candle.date).slice(0, 10) >= since);
+  if (recent.length === 0) return { high: null, low: null };
+  return {
+    high: Math.max(...recent.map(candle => candle.high)),
+    low: Math.min(...recent.map(candle => candle.low))
+  };
+}
+
+export function normalizeSignals(signals) {
+  const clean = (list) => (Array.isArray(list) ? list : [])
+    .filter(label => typeof label === 'string' && label.trim())
+    .slice(0, MAX_SIGNALS_PER_SIDE)
+    .map(label => label.trim().slice(0, MAX_SIGNAL_LABEL_LENGTH));
+  return { buy: clean(signals?.buy), sell: clean(signals?.sell) };
+}
+
+// 同一天、同一組訊號的分析共用快取；使用預設策略的用戶會命中同一份
+export function getSignalsKey(signals) {
+  const labels = [...signals.buy.map(label => `buy:${label}`), ...signals.sell.map(label => `sell:${label}`)].sort();
+  if (labels.length === 0) return 'none';
+  return createHash('sha1').update(labels.join('|')).digest('hex').slice(0, 10);
+}
+
+export function getAnalysisCacheKey(symbol, sessionDate, signals) {
+  return `ai_analysis_${symbol}_${sessionDate}_${getSignalsKey(signals)}`;
+}
+
+const fixed = (value) => (value === null || value === undefined || !Number.isFinite(value) ? 'N/A' : value.toFixed(2));
+
+function describeMacd(state) {
+  if (!state) return 'N/A';
+  const cross = state.cross
+    ? `, ${state.cross === 'golden' ? 'bullish (golden)' : 'bearish (death)'} crossover ${state.barsAgo === 0 ? 'on the latest bar' : `${state.barsAgo} bars ago`}`
+    : ', no crossover in the last 5 bars';
+  return `MACD line ${state.position} the signal line, ${state.aboveZero ? 'above' : 'below'} zero${cross}`;
+}
+
+function describeWeeklyTrend(weekly) {
+  if (!weekly) return 'N/A';
+  const ma = weekly.aboveMa10 === null ? '' : `, price ${weekly.aboveMa10 ? 'above' : 'below'} the 10-week moving average (${fixed(weekly.ma10)})`;
+  return `${weekly.trend}, ${fixed(weekly.fourWeekChangePercent)}% over the last 4 weeks${ma}`;
+}
+
+// context: { name, price, currency, indicators, macdState, weeklyTrend, range30, headlines, signals }
+export function buildAnalysisPrompt(context) {
+  const { name, price, currency, indicators, macdState, weeklyTrend, range30, headlines, signals } = context;
+  const bandPosition = indicators.bb.upper === null ? 'unknown' : price > indicators.bb.upper ? 'above the upper band' : price < indicators.bb.lower ? 'below the lower band' : 'within the bands';
+  const headlineList = headlines.length > 0 ? headlines.map(headline => `  - ${headline}`).join('\n') : '  - (no recent news)';
+  const signalList = signals.buy.length + signals.sell.length > 0
+    ? [...signals.buy.map(label => `  - Buy: ${label}`), ...signals.sell.map(label => `  - Sell: ${label}`)].join('\n')
+    : '  - (no scanner signals triggered)';
+
+  return renderPrompt('analysis', {
+    name,
+    price: fixed(price),
+    currency,
+    rangeLow: fixed(range30.low),
+    rangeHigh: fixed(range30.high),
+    rsi: fixed(indicators.rsi),
+    macd: fixed(indicators.macd.macd),
+    macdSignal: fixed(indicators.macd.signal),
+    macdState: describeMacd(macdState),
+    bandPosition,
+    ma20Position: price > indicators.ma20 ? 'above' : 'below',
+    weeklyTrend: describeWeeklyTrend(weeklyTrend),
+    adx: fixed(indicators.adx),
+    atr: fixed(indicators.atr),
+    volumeRatio: fixed(indicators.volumeRatio),
+    signals: signalList,
+    headlines: headlineList
+  });
+}
+
+// 一則 Server-Sent Event，data 一律為 JSON
+export function formatSseEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
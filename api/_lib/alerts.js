@@ -0,0 +1,112 @@
+// 價格與指標警示的判斷邏輯
+// 檔案路徑: /api/_lib/alerts.js
+// 由 get-stock-data.js 的 evaluate_alerts action 使用，history 為舊到新的日線陣列
+
+import { rsi, macd } from './indicators.js';
+
+// 支援的警示類型
+export const ALERT_TYPES = {
+  price_above: { label: '股價突破', needsThreshold: true },
+  price_below: { label: '股價跌破', needsThreshold: true },
+  rsi_below: { label: 'RSI(14) 低於', needsThreshold: true },
+  rsi_above: { label: 'RSI(14) 高於', needsThreshold: true },
+  macd_golden_cross: { label: 'MACD 黃金交叉', needsThreshold: false },
+  macd_death_cross: { label: 'MACD 死亡交叉', needsThreshold: false }
+};
+
+// 警示模式：once 觸發一次後停用，rearm 條件解除後自動重新啟用
+export const ALERT_MODES = ['once', 'rearm'];
+
+// 檢查前端送來的警示設定是否有效
+export function isValidAlert(alert) {
+  if (!alert || typeof alert.symbol !== 'string' || !ALERT_TYPES[alert.type]) return false;
+  if (!ALERT_MODES.includes(alert.mode)) return false;
+  if (ALERT_TYPES[alert.type].needsThreshold && !Number.isFinite(Number(alert.threshold))) return false;
+  return true;
+}
+
+// 取最新兩點的 MACD / 訊號線，用來判斷交叉
+function latestMacd(closes) {
+  const { macd: macdLine, signal } = macd(closes);
+  const n = closes.length;
+  if (n < 2 || signal[n - 2] === null) return null;
+  return {
+    macd: macdLine[n - 1],
+    signal: signal[n - 1],
+    prevMacd: macdLine[n - 2],
+    prevSignal: signal[n - 2]
+  };
+}
+
+// 計算單一警示目前是否成立，回傳 { met, value, price }
+export function checkAlertCondition(alert, history) {
+  if (!Array.isArray(history) || history.length === 0) return { met: false, value: null, price: null };
+
+  const closes = history.map(d => d.close);
+  const price = closes[closes.length - 1];
+  const threshold = Number(alert.threshold);
+
+  switch (alert.type) {
+    case 'price_above':
+      return { met: price >= threshold, value: price, price };
+    case 'price_below':
+      return { met: price <= threshold, value: price, price };
+    case 'rsi_below':
+    case 'rsi_above': {
+      const value = rsi(closes)[closes.length - 1];
+      if (value === null) return { met: false, value: null, price };
+      return { met: alert.type === 'rsi_below' ? value < threshold : value > threshold, value, price };
+    }
+    case 'macd_golden_cross':
+    case 'macd_death_cross': {
+      const m = latestMacd(closes);
+      if (!m) return { met: false, value: null, price };
+      const met = alert.type === 'macd_golden_cross'
+        ? m.prevMacd < m.prevSignal && m.macd > m.signal
+        : m.prevMacd > m.prevSignal && m.macd < m.signal;
+      return { met, value: m.macd - m.signal, price };
+    }
+    default:
+      return { met: false, value: null, price };
+  }
+}
+
+// 套用觸發 / 重新啟用規則，回傳更新後的警示與是否需要通知
+export function evaluateAlert(alert, history) {
+  if (alert.active === false) return { alert, triggered: false };
+
+  const result = checkAlertCondition(alert, history);
+  const armed = alert.armed !== false;
+
+  if (result.met && armed) {
+    return {
+      triggered: true,
+      result,
+      alert: {
+        ...alert,
+        armed: false,
+        active: alert.mode === 'rearm',
+        lastTriggeredAt: new Date().toISOString()
+      }
+    };
+  }
+
+  // rearm 模式：條件解除後重新上膛，等待下一次觸發
+  if (!result.met && !armed && alert.mode === 'rearm') {
+    return { triggered: false, result, alert: { ...alert, armed: true } };
+  }
+
+  return { triggered: false, result, alert };
+}
+
+// 產生推播與觸發紀錄使用的中文描述
+export function describeAlert(alert, result) {
+  const name = alert.symbol.replace(/\.US$/, '');
+  const label = ALERT_TYPES[alert.type]?.label || alert.type;
+  const thresholdText = ALERT_TYPES[alert.type]?.needsThreshold ? ` ${Number(alert.threshold)}` : '';
+  const valueText = alert.type.startsWith('rsi') && result?.value !== null && result?.value !== undefined
+    ? `，目前 RSI ${result.value.toFixed(2)}`
+    : '';
+  const priceText = result?.price ? `，收盤價 ${result.price.toFixed(2)}` : '';
+  return `${name} ${label}${thresholdText}${valueText}${priceText}`;
+}
@@ -0,0 +1,62 @@
+// 每日自選股簡報：整理漲跌、訊號、新聞與財報資料，產生簡報提示詞
+// 檔案路徑: /api/_lib/briefing.js
+// 由 get-stock-data.js 的 generate_briefings 使用；LLM 呼叫與 Firestore 寫入在 get-stock-data.js
+//
+// 簡報存於 Firestore users/{userId}/briefings/{date}，date 為台北時間的日期（盤前簡報）：
+// { date, content, symbols, movers, signals, earnings, headlines, strategyName, generatedAt }
+
+import { getCandleSnapshot } from './strategies.js';
+import { renderPrompt } from './prompts/index.js';
+
+export const BRIEFING_MAX_SYMBOLS = 30;
+export const BRIEFING_EARNINGS_DAYS = 7;
+export const BRIEFING_HEADLINES_PER_SYMBOL = 2;
+export const BRIEFING_MAX_HEADLINES = 12;
+// Vercel 有 10 秒超時限制：超過時間預算就不再處理下一位用戶，回傳 remaining 由 n8n 再次呼叫
+export const BRIEFING_TIME_BUDGET_MS = 6000;
+
+const round2 = (value) => (Number.isFinite(value) ? Math.round(value * 100) / 100 : null);
+
+// 最近一個交易日的收盤與漲跌，以及近 5 個交易日的漲跌幅
+export function summarizeMove(symbol, candles) {
+  if (!Array.isArray(candles) || candles.length < 2) return null;
+  const snapshot = getCandleSnapshot(candles);
+  const fiveDaysAgo = candles[Math.max(0, candles.length - 6)].close;
+  return {
+    symbol,
+    date: snapshot.date,
+    close: round2(snapshot.price),
+    changePercent: round2(snapshot.changePercent),
+    fiveDayChangePercent: fiveDaysAgo ? round2(((snapshot.price - fiveDaysAgo) / fiveDaysAgo) * 100) : null
+  };
+}
+
+// 依漲跌幅絕對值排序，取變動最大的幾檔
+export function pickMovers(moves, count = 5) {
+  return [...moves]
+    .filter(move => move.changePercent !== null)
+    .sort((a, b) => Math.abs(b.changePercent) - Math.abs(a.changePercent))
+    .slice(0, count);
+}
+
+const displaySymbol = (symbol) => symbol.replace(/\.US$|\.TWO?$/, '');
+
+// data: { date, moves, signals: [{ symbol, buy, sell }], headlines: [{ symbol, headline }], earnings: [{ symbol, date, hour }], strategyName }
+export function buildBriefingPrompt(data) {
+  const { date, moves, signals, headlines, earnings, strategyName } = data;
+  const moveLines = moves.map(move => `  - ${displaySymbol(move.symbol)} (${move.date}): close ${move.close}, ${move.changePercent}% on the day, ${move.fiveDayChangePercent ?? 'N/A'}% over 5 days`);
+  const signalLines = signals.map(item => `  - ${displaySymbol(item.symbol)}: ${[...item.buy.map(label => `buy "${label}"`), ...item.sell.map(label => `sell "${label}"`)].join(', ')}`);
+  const headlineLines = headlines.map(item => `  - ${displaySymbol(item.symbol)}: ${item.headline}`);
+  const earningsLines = earnings.map(item => `  - ${displaySymbol(item.symbol)}: ${item.date}${item.hour ? ` (${item.hour})` : ''}`);
+  const list = (lines, empty) => (lines.length > 0 ? lines.join('\n') : `  - ${empty}`);
+
+  return renderPrompt('briefing', {
+    earningsDays: BRIEFING_EARNINGS_DAYS,
+    date,
+    moves: list(moveLines, 'no price data'),
+    strategyName,
+    signals: list(signalLines, 'none'),
+    headlines: list(headlineLines, 'none'),
+    earnings: list(earningsLines, 'none')
+  });
+}
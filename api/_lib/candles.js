@@ -0,0 +1,34 @@
+// K 線週期轉換
+// 檔案路徑: /api/_lib/candles.js
+// 週線 / 月線由伺服器以長區間的日線彙總，輸入與輸出皆為舊到新排序
+
+// 週線以週一為一週的開始，月線以月份分組
+function getPeriodKey(date, period) {
+  if (period === 'M') return date.slice(0, 7);
+  const day = new Date(`${date.slice(0, 10)}T12:00:00Z`);
+  const offset = (day.getUTCDay() + 6) % 7;
+  day.setUTCDate(day.getUTCDate() - offset);
+  return day.toISOString().split('T')[0];
+}
+
+// 每根週 / 月 K 的日期為該期間第一個交易日
+export function aggregateCandles(dailyCandles, period) {
+  const result = [];
+  let currentKey = null;
+
+  dailyCandles.forEach(day => {
+    const key = getPeriodKey(day.date, period);
+    const current = result[result.length - 1];
+    if (key !== currentKey) {
+      currentKey = key;
+      result.push({ ...day });
+      return;
+    }
+    current.high = Math.max(current.high, day.high);
+    current.low = Math.min(current.low, day.low);
+    current.close = day.close;
+    current.volume += day.volume;
+  });
+
+  return result;
+}
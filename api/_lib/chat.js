@@ -0,0 +1,104 @@
+// 個股問答：對話紀錄的整理、token 預算與提示詞
+// 檔案路徑: /api/_lib/chat.js
+// 由 get-stock-data.js 的 chat、chat_history、chat_clear 使用；LLM 呼叫與 KV 讀寫在 get-stock-data.js
+//
+// 訊息格式：{ role: 'user' | 'model', text, at }，at 為 ISO 時間
+
+import { renderPrompt } from './prompts/index.js';
+
+export const CHAT_MAX_MESSAGE_LENGTH = 500;
+// KV 只保留最近 40 則（20 輪），閒置 7 天後清除
+export const CHAT_MAX_STORED_MESSAGES = 40;
+export const CHAT_HISTORY_TTL = 86400 * 7;
+// 每次呼叫的輸入上限（系統提示 + 對話紀錄 + 問題），超過時從最舊的對話開始捨棄
+export const CHAT_INPUT_TOKEN_BUDGET = 6000;
+export const CHAT_MAX_OUTPUT_TOKENS = 1024;
+export const CHAT_RECENT_CANDLES = 10;
+
+// 前端未登入 Firebase 時產生的隨機識別碼（UUID）
+export function isValidClientId(clientId) {
+  return typeof clientId === 'string' && /^[0-9a-f-]{36}$/i.test(clientId);
+}
+
+export function getChatCacheKey(userKey, symbol) {
+  return `chat_${userKey}_${symbol}`;
+}
+
+// 粗估 token 數：中日韓文字約一字一個 token，其他字元約四個一個 token
+export function estimateTokens(text) {
+  const value = String(text || '');
+  const cjk = (value.match(/[\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]/g) || []).length;
+  return cjk + Math.ceil((value.length - cjk) / 4);
+}
+
+// 從最新的訊息往回取，直到超過預算；以一問一答為單位，不會只留下半輪
+export function selectHistoryForBudget(messages, budget) {
+  const selected = [];
+  let used = 0;
+  for (let i = messages.length - 1; i >= 1; i -= 2) {
+    const pair = [messages[i - 1], messages[i]];
+    const cost = pair.reduce((sum, message) => sum + estimateTokens(message.text), 0);
+    if (used + cost > budget) break;
+    selected.unshift(...pair);
+    used += cost;
+  }
+  return { messages: selected, omitted: messages.length - selected.length, tokens: used };
+}
+
+export function trimStoredMessages(messages) {
+  return messages.slice(-CHAT_MAX_STORED_MESSAGES);
+}
+
+// 轉成 LLM 客戶端的訊息格式（role 與存放格式相同，各後端自行轉換）
+export function toChatMessages(messages, question) {
+  return [
+    ...messages.map(message => ({ role: message.role, text: message.text })),
+    { role: 'user', text: question }
+  ];
+}
+
+const fixed = (value) => (value === null || value === undefined || !Number.isFinite(value) ? 'N/A' : value.toFixed(2));
+
+// 每一輪都附上最新的伺服器資料，回答只能依據這些資料
+// context 與 ai-analysis.js 的 buildAnalysisPrompt 相同，另外加上 quote 與 recentCandles
+export function buildChatSystemPrompt(context) {
+  const { symbol, name, currency, quote, indicators, macdState, weeklyTrend, range30, headlines, recentCandles, asOf } = context;
+  const candles = recentCandles
+    .map(candle => `  - ${String(candle.date).slice(0, 10)}: O ${fixed(candle.open)} H ${fixed(candle.high)} L ${fixed(candle.low)} C ${fixed(candle.close)} V ${Math.round(candle.volume || 0)}`)
+    .join('\n');
+  const macd = macdState
+    ? `MACD line ${macdState.position} the signal line, ${macdState.aboveZero ? 'above' : 'below'} zero${macdState.cross ? `, ${macdState.cross} cross ${macdState.barsAgo} bars ago` : ''}`
+    : 'N/A';
+  const weekly = weeklyTrend ? `${weeklyTrend.trend}, ${fixed(weeklyTrend.fourWeekChangePercent)}% over 4 weeks, 10-week MA ${fixed(weeklyTrend.ma10)}` : 'N/A';
+
+  return renderPrompt('chat', {
+    name,
+    symbol,
+    asOf,
+    price: fixed(quote?.price),
+    currency,
+    change: fixed(quote?.change),
+    changePercent: fixed(quote?.changePercent),
+    high: fixed(quote?.high),
+    low: fixed(quote?.low),
+    rangeLow: fixed(range30.low),
+    rangeHigh: fixed(range30.high),
+    ma5: fixed(indicators.ma5),
+    ma20: fixed(indicators.ma20),
+    rsi: fixed(indicators.rsi),
+    macd: fixed(indicators.macd.macd),
+    macdSignal: fixed(indicators.macd.signal),
+    macdHistogram: fixed(indicators.macd.histogram),
+    macdState: macd,
+    bbUpper: fixed(indicators.bb.upper),
+    bbMiddle: fixed(indicators.bb.middle),
+    bbLower: fixed(indicators.bb.lower),
+    adx: fixed(indicators.adx),
+    atr: fixed(indicators.atr),
+    volumeRatio: fixed(indicators.volumeRatio),
+    weeklyTrend: weekly,
+    candleCount: recentCandles.length,
+    candles: candles || '  - N/A',
+    headlines: headlines.length > 0 ? headlines.map(headline => `  - ${headline}`).join('\n') : '  - (no recent news)'
+  });
+}
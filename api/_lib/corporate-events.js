@@ -0,0 +1,113 @@
+// 財報與除息行事曆：美股財報來自 Finnhub，美股股利來自 Polygon.io，台股除息來自證交所預告表
+// 檔案路徑: /api/_lib/corporate-events.js
+// 由 get-stock-data.js 的 calendar 使用，事件一律轉成本專案的代號格式
+//
+// 事件格式：
+// { symbol, type: 'earnings', date, hour, quarter, year, epsEstimate, epsActual, revenueEstimate, revenueActual }
+// { symbol, type: 'exDividend' | 'dividendPayment', date, exDate, payDate, amount, currency }
+
+import { fetchWithTimeout } from './providers/registry.js';
+import { getSymbolMarket, getTwExchange, toProviderSymbol, toTwCode } from './markets.js';
+
+// 查詢區間上限；Polygon.io 的股利資料量很大，更長的區間會超過分頁上限
+export const CALENDAR_MAX_DAYS = 60;
+export const CALENDAR_MAX_SYMBOLS = 50;
+// 往回多查幾天，財報公布後仍能看到實際 EPS
+export const CALENDAR_LOOKBACK_DAYS = 7;
+
+export function shiftIsoDate(date, days) {
+  const shifted = new Date(`${date}T12:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+}
+
+const toNumber = (value) => {
+  const number = typeof value === 'number' ? value : parseFloat(String(value ?? '').replace(/,/g, ''));
+  return Number.isFinite(number) ? number : null;
+};
+
+// Finnhub 單檔股票的財報日期（bmo 盤前 / amc 盤後 / dmh 盤中）
+export async function fetchEarnings(symbol, from, to, apiKey) {
+  const response = await fetchWithTimeout(
+    `https://finnhub.io/api/v1/calendar/earnings?from=${from}&to=${to}&symbol=${toProviderSymbol(symbol)}&token=${apiKey}`
+  );
+  if (!response.ok) {
+    throw new Error(`Finnhub earnings calendar HTTP ${response.status}: ${response.statusText}`);
+  }
+  const json = await response.json();
+  return (json.earningsCalendar || []).map(item => ({
+    symbol,
+    type: 'earnings',
+    date: item.date,
+    hour: item.hour || null,
+    quarter: item.quarter ?? null,
+    year: item.year ?? null,
+    epsEstimate: toNumber(item.epsEstimate),
+    epsActual: toNumber(item.epsActual),
+    revenueEstimate: toNumber(item.revenueEstimate),
+    revenueActual: toNumber(item.revenueActual)
+  }));
+}
+
+// 民國日期（1141020 或 114/10/20）轉成 2025-10-20
+export function fromRocDate(value) {
+  const match = String(value || '').trim().match(/^(\d{2,3})\/?(\d{2})\/?(\d{2})$/);
+  if (!match) return null;
+  return `${Number(match[1]) + 1911}-${match[2]}-${match[3]}`;
+}
+
+// 證交所上市股票除權除息預告表，只保留有現金股利的除息事件；上櫃股票沒有對應的開放資料
+export async function fetchTwDividendNotices() {
+  const response = await fetchWithTimeout(
+    'https://openapi.twse.com.tw/v1/exchangeReport/TWT48U_ALL',
+    { headers: { 'Accept': 'application/json', 'User-Agent': 'Mozilla/5.0' } },
+    15000
+  );
+  if (!response.ok) {
+    throw new Error(`TWSE dividend notice HTTP ${response.status}: ${response.statusText}`);
+  }
+  const list = await response.json();
+  return (Array.isArray(list) ? list : [])
+    .filter(item => String(item.Exdividend || '').includes('息'))
+    .map(item => ({
+      code: String(item.Code || '').trim(),
+      exDate: fromRocDate(item.Date),
+      amount: toNumber(item.CashDividend)
+    }))
+    .filter(item => item.code && item.exDate);
+}
+
+// 股利資料轉成除息與發放兩個事件，發放日不在區間內時只保留除息
+export function toDividendEvents(symbol, dividend, from, to) {
+  const base = {
+    symbol,
+    exDate: dividend.exDate,
+    payDate: dividend.payDate || null,
+    amount: dividend.amount ?? null,
+    currency: dividend.currency || (getSymbolMarket(symbol) === 'TW' ? 'TWD' : 'USD')
+  };
+  const events = [];
+  if (base.exDate >= from && base.exDate <= to) events.push({ ...base, type: 'exDividend', date: base.exDate });
+  if (base.payDate && base.payDate >= from && base.payDate <= to) events.push({ ...base, type: 'dividendPayment', date: base.payDate });
+  return events;
+}
+
+// 台股預告表的代號只有數字，上櫃股票不在表內
+export function matchTwDividends(symbols, notices) {
+  const byCode = new Map();
+  notices.forEach(notice => {
+    if (!byCode.has(notice.code)) byCode.set(notice.code, []);
+    byCode.get(notice.code).push(notice);
+  });
+  return symbols
+    .filter(symbol => getSymbolMarket(symbol) === 'TW' && getTwExchange(symbol) === 'TWSE')
+    .flatMap(symbol => (byCode.get(toTwCode(symbol)) || []).map(notice => ({ symbol, ...notice })));
+}
+
+const EVENT_ORDER = { earnings: 0, exDividend: 1, dividendPayment: 2 };
+
+export function sortEvents(events) {
+  return [...events].sort((a, b) => (
+    a.date.localeCompare(b.date) || EVENT_ORDER[a.type] - EVENT_ORDER[b.type] || a.symbol.localeCompare(b.symbol)
+  ));
+}
@@ -0,0 +1,32 @@
+// Firebase Admin 共用初始化
+// 檔案路徑: /api/_lib/firebase-admin.js
+// 底線開頭的資料夾不會被 Vercel 當成 API 端點
+
+import admin from 'firebase-admin';
+
+// 延遲初始化：未設定 Service Account 時不影響其他不需要 Firestore 的 action
+function initializeApp() {
+  if (!admin.apps.length) {
+    admin.initializeApp({
+      credential: admin.credential.cert({
+        projectId: process.env.WATCHLIST_FIREBASE_PROJECT_ID,
+        clientEmail: process.env.WATCHLIST_FIREBASE_CLIENT_EMAIL,
+        privateKey: process.env.WATCHLIST_FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+      }),
+    });
+  }
+}
+
+export function getFirestore() {
+  initializeApp();
+  return admin.firestore();
+}
+
+// 驗證前端 Firebase Auth 的 ID token（含匿名登入），回傳 uid
+export async function verifyIdToken(idToken) {
+  initializeApp();
+  const decoded = await admin.auth().verifyIdToken(idToken);
+  return decoded.uid;
+}
+
+export default admin;
@@ -0,0 +1,138 @@
+// 基本面資料：美股使用 Finnhub metric / profile2，台股使用證交所與櫃買中心的本益比、殖利率開放資料
+// 檔案路徑: /api/_lib/fundamentals.js
+// 由 get-stock-data.js 的 fundamentals 使用，回傳統一格式，資料來源沒有的欄位為 null
+//
+// 比例欄位（revenueGrowth、grossMargin、operatingMargin、netMargin、dividendYield）一律為百分比數值，例如 45.2 代表 45.2%
+// marketCap 為原幣別的完整金額（Finnhub 回傳的是百萬美元）
+
+import { fetchWithTimeout } from './providers/registry.js';
+import { getTwExchange, toTwCode } from './markets.js';
+
+export function emptyFundamentals(symbol) {
+  return {
+    symbol,
+    name: null,
+    currency: null,
+    marketCap: null,
+    pe: null,
+    forwardPe: null,
+    pb: null,
+    eps: null,
+    revenueGrowth: null,
+    grossMargin: null,
+    operatingMargin: null,
+    netMargin: null,
+    dividendYield: null,
+    week52High: null,
+    week52Low: null,
+    beta: null,
+    sector: null,
+    industry: null,
+    source: null,
+    asOf: null
+  };
+}
+
+// 開放資料的數字是字串，'-'、空字串與非正數的本益比（虧損）都視為沒有資料
+function toNumber(value, { positive = false } = {}) {
+  const number = typeof value === 'number' ? value : parseFloat(String(value ?? '').replace(/,/g, ''));
+  if (!Number.isFinite(number)) return null;
+  return positive && number <= 0 ? null : number;
+}
+
+async function fetchFinnhubJson(path, apiKey) {
+  const response = await fetchWithTimeout(`https://finnhub.io/api/v1/${path}&token=${apiKey}`);
+  if (!response.ok) {
+    throw new Error(`Finnhub ${path.split('?')[0]} HTTP ${response.status}: ${response.statusText}`);
+  }
+  return response.json();
+}
+
+// providerSymbol 為去掉 .US 的美股代號
+export async function fetchUsFundamentals(symbol, providerSymbol, apiKey) {
+  const [metricJson, profile] = await Promise.all([
+    fetchFinnhubJson(`stock/metric?symbol=${providerSymbol}&metric=all`, apiKey),
+    fetchFinnhubJson(`stock/profile2?symbol=${providerSymbol}`, apiKey)
+  ]);
+  const metric = metricJson?.metric || {};
+  if (Object.keys(metric).length === 0 && !profile?.name) {
+    throw new Error(`No Finnhub fundamentals for ${providerSymbol}`);
+  }
+
+  const marketCapMillions = toNumber(metric.marketCapitalization ?? profile?.marketCapitalization);
+  return {
+    ...emptyFundamentals(symbol),
+    name: profile?.name || null,
+    currency: profile?.currency || 'USD',
+    marketCap: marketCapMillions === null ? null : marketCapMillions * 1e6,
+    pe: toNumber(metric.peTTM ?? metric.peBasicExclExtraTTM, { positive: true }),
+    // 免費方案通常沒有預估本益比，有提供時才顯示
+    forwardPe: toNumber(metric.forwardPE, { positive: true }),
+    pb: toNumber(metric.pbQuarterly ?? metric.pbAnnual, { positive: true }),
+    eps: toNumber(metric.epsTTM ?? metric.epsBasicExclExtraItemsTTM),
+    revenueGrowth: toNumber(metric.revenueGrowthTTMYoy),
+    grossMargin: toNumber(metric.grossMarginTTM),
+    operatingMargin: toNumber(metric.operatingMarginTTM),
+    netMargin: toNumber(metric.netProfitMarginTTM),
+    dividendYield: toNumber(metric.currentDividendYieldTTM ?? metric.dividendYieldIndicatedAnnual),
+    week52High: toNumber(metric['52WeekHigh']),
+    week52Low: toNumber(metric['52WeekLow']),
+    beta: toNumber(metric.beta),
+    // Finnhub 免費方案只有產業分類，沒有類股
+    industry: profile?.finnhubIndustry || null,
+    source: 'Finnhub'
+  };
+}
+
+// 證交所（上市）與櫃買中心（上櫃）每日公布的個股本益比、殖利率及股價淨值比，一次回傳全部股票
+const TW_RATIO_SOURCES = {
+  TWSE: {
+    url: 'https://openapi.twse.com.tw/v1/exchangeReport/BWIBBU_ALL',
+    label: 'TWSE',
+    code: item => item.Code,
+    parse: item => ({ name: item.Name, pe: item.PEratio, dividendYield: item.DividendYield, pb: item.PBratio })
+  },
+  TPEx: {
+    url: 'https://www.tpex.org.tw/openapi/v1/tpex_mainboard_peratio_analysis',
+    label: 'TPEx',
+    code: item => item.SecuritiesCompanyCode,
+    parse: item => ({ name: item.CompanyName, pe: item.PriceEarningRatio, dividendYield: item.YieldRatio, pb: item.PriceBookRatio })
+  }
+};
+
+export async function fetchTwFundamentals(symbol) {
+  const config = TW_RATIO_SOURCES[getTwExchange(symbol)];
+  const response = await fetchWithTimeout(config.url, { headers: { 'Accept': 'application/json', 'User-Agent': 'Mozilla/5.0' } }, 15000);
+  if (!response.ok) {
+    throw new Error(`${config.label} open data HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  const list = await response.json();
+  const code = toTwCode(symbol);
+  const item = Array.isArray(list) ? list.find(entry => String(config.code(entry)).trim() === code) : null;
+  if (!item) {
+    throw new Error(`No ${config.label} ratio data for ${symbol}`);
+  }
+
+  const ratios = config.parse(item);
+  return {
+    ...emptyFundamentals(symbol),
+    name: ratios.name?.trim() || null,
+    currency: 'TWD',
+    pe: toNumber(ratios.pe, { positive: true }),
+    pb: toNumber(ratios.pb, { positive: true }),
+    dividendYield: toNumber(ratios.dividendYield),
+    source: config.label
+  };
+}
+
+// 資料來源沒有 52 週區間時，由一年的日 K 線計算
+export function getFiftyTwoWeekRange(candles, now = new Date()) {
+  const since = new Date(now.getTime() - 365 * 86400000).toISOString().slice(0, 10);
+  const recent = (candles || []).filter(candle => String(candle.date).slice(0, 10) >= since);
+  if (recent.length === 0) return { week52High: null, week52Low: null };
+  return {
+    week52High: Math.max(...recent.map(candle => candle.high)),
+    week52Low: Math.min(...recent.map(candle => candle.low))
+  };
+}
@@ -0,0 +1,345 @@
+// 技術指標計算（前端、AI 分析、警示與定時任務共用）
+// 檔案路徑: /api/_lib/indicators.js
+// 輸入為舊到新的 K 線陣列 [{ date, open, high, low, close, volume }]
+// 序列函式回傳與輸入等長的陣列，資料不足的前段為 null
+
+const round = (value) => (value === null || !Number.isFinite(value) ? null : Math.round(value * 10000) / 10000);
+
+function last(series) {
+  for (let i = series.length - 1; i >= 0; i--) {
+    if (series[i] !== null && series[i] !== undefined) return series[i];
+  }
+  return null;
+}
+
+// 對含 null 前段的序列套用計算，回傳仍與原序列對齊
+function onDefined(series, fn) {
+  const start = series.findIndex(value => value !== null);
+  if (start === -1) return series.map(() => null);
+  return [...series.slice(0, start).map(() => null), ...fn(series.slice(start))];
+}
+
+export function sma(values, period) {
+  const result = new Array(values.length).fill(null);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) result[i] = sum / period;
+  }
+  return result;
+}
+
+// 以前 period 筆的 SMA 作為起始值
+export function ema(values, period) {
+  const result = new Array(values.length).fill(null);
+  if (values.length < period) return result;
+  const multiplier = 2 / (period + 1);
+  let previous = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  result[period - 1] = previous;
+  for (let i = period; i < values.length; i++) {
+    previous = (values[i] - previous) * multiplier + previous;
+    result[i] = previous;
+  }
+  return result;
+}
+
+export function wma(values, period) {
+  const result = new Array(values.length).fill(null);
+  const denominator = (period * (period + 1)) / 2;
+  for (let i = period - 1; i < values.length; i++) {
+    let weighted = 0;
+    for (let j = 0; j < period; j++) {
+      weighted += values[i - period + 1 + j] * (j + 1);
+    }
+    result[i] = weighted / denominator;
+  }
+  return result;
+}
+
+// Wilder 平滑：起始值為前 period 筆平均，之後 prev + (value - prev) / period
+function wilderSmooth(values, period) {
+  const result = new Array(values.length).fill(null);
+  if (values.length < period) return result;
+  let previous = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  result[period - 1] = previous;
+  for (let i = period; i < values.length; i++) {
+    previous = previous + (values[i] - previous) / period;
+    result[i] = previous;
+  }
+  return result;
+}
+
+// Wilder RSI
+export function rsi(closes, period = 14) {
+  const result = new Array(closes.length).fill(null);
+  if (closes.length <= period) return result;
+  const gains = [], losses = [];
+  for (let i = 1; i < closes.length; i++) {
+    const diff = closes[i] - closes[i - 1];
+    gains.push(Math.max(diff, 0));
+    losses.push(Math.max(-diff, 0));
+  }
+  const avgGain = wilderSmooth(gains, period);
+  const avgLoss = wilderSmooth(losses, period);
+  for (let i = period - 1; i < gains.length; i++) {
+    if (avgLoss[i] === 0) {
+      result[i + 1] = avgGain[i] === 0 ? 50 : 100;
+    } else {
+      result[i + 1] = 100 - 100 / (1 + avgGain[i] / avgLoss[i]);
+    }
+  }
+  return result;
+}
+
+export function macd(closes, fast = 12, slow = 26, signalPeriod = 9) {
+  const fastEma = ema(closes, fast);
+  const slowEma = ema(closes, slow);
+  const macdLine = closes.map((_, i) => (fastEma[i] === null || slowEma[i] === null ? null : fastEma[i] - slowEma[i]));
+  const signalLine = onDefined(macdLine, values => ema(values, signalPeriod));
+  const histogram = macdLine.map((value, i) => (value === null || signalLine[i] === null ? null : value - signalLine[i]));
+  return { macd: macdLine, signal: signalLine, histogram };
+}
+
+// 布林通道使用母體標準差
+export function bollinger(closes, period = 20, multiplier = 2) {
+  const middle = sma(closes, period);
+  const upper = new Array(closes.length).fill(null);
+  const lower = new Array(closes.length).fill(null);
+  for (let i = period - 1; i < closes.length; i++) {
+    const window = closes.slice(i - period + 1, i + 1);
+    const stdDev = Math.sqrt(window.reduce((sum, value) => sum + (value - middle[i]) ** 2, 0) / period);
+    upper[i] = middle[i] + multiplier * stdDev;
+    lower[i] = middle[i] - multiplier * stdDev;
+  }
+  return { upper, middle, lower };
+}
+
+function trueRanges(candles) {
+  return candles.map((candle, i) => {
+    if (i === 0) return candle.high - candle.low;
+    const prevClose = candles[i - 1].close;
+    return Math.max(candle.high - candle.low, Math.abs(candle.high - prevClose), Math.abs(candle.low - prevClose));
+  });
+}
+
+export function atr(candles, period = 14) {
+  return wilderSmooth(trueRanges(candles), period);
+}
+
+// KD 隨機指標：%K 為 period 期間的位置，%D 為 %K 的 SMA
+export function stochastic(candles, period = 14, smoothD = 3) {
+  const k = new Array(candles.length).fill(null);
+  for (let i = period - 1; i < candles.length; i++) {
+    const window = candles.slice(i - period + 1, i + 1);
+    const highest = Math.max(...window.map(c => c.high));
+    const lowest = Math.min(...window.map(c => c.low));
+    k[i] = highest === lowest ? 50 : ((candles[i].close - lowest) / (highest - lowest)) * 100;
+  }
+  return { k, d: onDefined(k, values => sma(values, smoothD)) };
+}
+
+export function obv(candles) {
+  const result = new Array(candles.length).fill(null);
+  let total = 0;
+  candles.forEach((candle, i) => {
+    if (i > 0) {
+      if (candle.close > candles[i - 1].close) total += candle.volume;
+      else if (candle.close < candles[i - 1].close) total -= candle.volume;
+    }
+    result[i] = total;
+  });
+  return result;
+}
+
+export function adx(candles, period = 14) {
+  const empty = () => new Array(candles.length).fill(null);
+  if (candles.length <= period * 2) return { adx: empty(), plusDI: empty(), minusDI: empty() };
+
+  const plusDM = [], minusDM = [];
+  for (let i = 1; i < candles.length; i++) {
+    const up = candles[i].high - candles[i - 1].high;
+    const down = candles[i - 1].low - candles[i].low;
+    plusDM.push(up > down && up > 0 ? up : 0);
+    minusDM.push(down > up && down > 0 ? down : 0);
+  }
+  const tr = trueRanges(candles).slice(1);
+  const smoothedTr = wilderSmooth(tr, period);
+  const smoothedPlus = wilderSmooth(plusDM, period);
+  const smoothedMinus = wilderSmooth(minusDM, period);
+
+  const plusDI = empty(), minusDI = empty(), dx = [];
+  for (let i = period - 1; i < tr.length; i++) {
+    const plus = smoothedTr[i] === 0 ? 0 : (smoothedPlus[i] / smoothedTr[i]) * 100;
+    const minus = smoothedTr[i] === 0 ? 0 : (smoothedMinus[i] / smoothedTr[i]) * 100;
+    plusDI[i + 1] = plus;
+    minusDI[i + 1] = minus;
+    dx.push(plus + minus === 0 ? 0 : (Math.abs(plus - minus) / (plus + minus)) * 100);
+  }
+  const smoothedDx = wilderSmooth(dx, period);
+  return { adx: [...new Array(period).fill(null), ...smoothedDx], plusDI, minusDI };
+}
+
+// 分時 K 線（date 含時間）每個交易日重新累計；日 K 以最近 period 根計算滾動 VWAP
+export function vwap(candles, period = 20) {
+  const typical = candles.map(c => ((c.high + c.low + c.close) / 3) * c.volume);
+  const isIntraday = candles.some(c => String(c.date).includes('T'));
+  const result = new Array(candles.length).fill(null);
+
+  if (isIntraday) {
+    let session = null, priceVolume = 0, volume = 0;
+    candles.forEach((candle, i) => {
+      const day = String(candle.date).slice(0, 10);
+      if (day !== session) {
+        session = day;
+        priceVolume = 0;
+        volume = 0;
+      }
+      priceVolume += typical[i];
+      volume += candle.volume;
+      result[i] = volume > 0 ? priceVolume / volume : null;
+    });
+    return result;
+  }
+
+  for (let i = period - 1; i < candles.length; i++) {
+    let priceVolume = 0, volume = 0;
+    for (let j = i - period + 1; j <= i; j++) {
+      priceVolume += typical[j];
+      volume += candles[j].volume;
+    }
+    result[i] = volume > 0 ? priceVolume / volume : null;
+  }
+  return result;
+}
+
+export const DEFAULT_SMA_PERIODS = [5, 10, 20, 60];
+
+// action=indicators 的 set 參數可用的指標，每個回傳 { 欄位: 序列 }
+// options.smaPeriods 指定均線週期（K 線圖的自訂均線），欄位名稱為 sma{週期}
+export const INDICATORS = {
+  sma: (candles, { smaPeriods = DEFAULT_SMA_PERIODS } = {}) => {
+    const closes = candles.map(c => c.close);
+    return Object.fromEntries(smaPeriods.map(period => [`sma${period}`, sma(closes, period)]));
+  },
+  ema: (candles) => {
+    const closes = candles.map(c => c.close);
+    return { ema12: ema(closes, 12), ema26: ema(closes, 26) };
+  },
+  wma: (candles) => ({ wma20: wma(candles.map(c => c.close), 20) }),
+  rsi: (candles) => ({ rsi: rsi(candles.map(c => c.close), 14) }),
+  macd: (candles) => macd(candles.map(c => c.close)),
+  bb: (candles) => bollinger(candles.map(c => c.close)),
+  atr: (candles) => ({ atr: atr(candles) }),
+  stoch: (candles) => stochastic(candles),
+  obv: (candles) => ({ obv: obv(candles) }),
+  adx: (candles) => adx(candles),
+  vwap: (candles) => ({ vwap: vwap(candles) })
+};
+
+export const INDICATOR_NAMES = Object.keys(INDICATORS);
+
+// 計算指定的指標組合，回傳 { latest, series }，latest 為每個欄位的最新值
+export function computeIndicators(candles, names = INDICATOR_NAMES, options = {}) {
+  const latest = {};
+  const series = {};
+  names.forEach(name => {
+    const fields = INDICATORS[name](candles, options);
+    latest[name] = {};
+    series[name] = {};
+    Object.entries(fields).forEach(([field, values]) => {
+      latest[name][field] = round(last(values));
+      series[name][field] = values.map(round);
+    });
+  });
+  return { latest, series };
+}
+
+// 給 AI 分析與前端卡片使用的單點摘要（最新一根 K 線）
+export function summarizeIndicators(candles) {
+  const closes = candles.map(c => c.close);
+  const volumes = candles.map(c => c.volume);
+  const macdResult = macd(closes);
+  const bb = bollinger(closes);
+  const avgVol5 = volumes.length > 0 ? volumes.slice(-5).reduce((a, b) => a + b, 0) / Math.min(5, volumes.length) : 0;
+  const latestVolume = volumes[volumes.length - 1] ?? 0;
+
+  return {
+    price: round(closes[closes.length - 1] ?? null),
+    ma5: round(last(sma(closes, 5))),
+    ma20: round(last(sma(closes, 20))),
+    rsi: round(last(rsi(closes, 14))),
+    macd: {
+      macd: round(last(macdResult.macd)),
+      signal: round(last(macdResult.signal)),
+      histogram: round(last(macdResult.histogram))
+    },
+    bb: { upper: round(last(bb.upper)), middle: round(last(bb.middle)), lower: round(last(bb.lower)) },
+    atr: round(last(atr(candles))),
+    adx: round(last(adx(candles).adx)),
+    avgVol5: round(avgVol5),
+    volumeRatio: avgVol5 > 0 ? round(latestVolume / avgVol5) : null
+  };
+}
+
+// 以最近 period 筆（資料不足時為現有的全部資料）計算，回傳與輸入等長的陣列
+function trailing(values, period, fn) {
+  return values.map((_, i) => fn(values.slice(Math.max(0, i - period + 1), i + 1)));
+}
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+// 掃描策略與回測使用的指標序列，欄位名稱與策略條件的數值相同（bbUpper、macdSignal…），與 K 線對齊
+// 伺服器（strategies.js）與前端（報價回應的 strategyIndicators）都使用這份結果，數值四捨五入後兩邊完全相同
+// 資料不足時均線、布林通道與 30 日高低點以現有資料計算，RSI 為 50，MACD 為 null
+export function strategyIndicatorSeries(candles) {
+  const closes = candles.map(c => c.close);
+  const ma20 = trailing(closes, 20, mean);
+  const stdDev20 = trailing(closes, 20, window => {
+    const middle = mean(window);
+    return window.length > 1 ? Math.sqrt(mean(window.map(value => (value - middle) ** 2))) : 0;
+  });
+  const macdResult = macd(closes);
+
+  const fields = {
+    ma3: trailing(closes, 3, mean),
+    ma5: trailing(closes, 5, mean),
+    ma10: trailing(closes, 10, mean),
+    ma20,
+    ma30: trailing(closes, 30, mean),
+    rsi: rsi(closes, 14).map(value => value ?? 50),
+    bbUpper: ma20.map((value, i) => value + stdDev20[i] * 2),
+    bbMiddle: ma20,
+    bbLower: ma20.map((value, i) => value - stdDev20[i] * 2),
+    macd: macdResult.macd,
+    macdSignal: macdResult.signal,
+    macdHistogram: macdResult.histogram,
+    high30: trailing(candles.map(c => c.high), 30, window => Math.max(...window)),
+    low30: trailing(candles.map(c => c.low), 30, window => Math.min(...window)),
+    avgVol5: trailing(candles.map(c => c.volume), 5, mean)
+  };
+  return Object.fromEntries(Object.entries(fields).map(([field, values]) => [field, values.map(round)]));
+}
+
+// 取出第 index 根 K 線的指標（策略條件使用的格式），prevMacd / prevSignal 為前一根的值，供穿越判斷
+export function strategyIndicatorsAt(series, index) {
+  return {
+    ma3: series.ma3[index],
+    ma5: series.ma5[index],
+    ma10: series.ma10[index],
+    ma20: series.ma20[index],
+    ma30: series.ma30[index],
+    rsi: series.rsi[index],
+    bb: { upper: series.bbUpper[index], middle: series.bbMiddle[index], lower: series.bbLower[index] },
+    macd: {
+      macd: series.macd[index],
+      signal: series.macdSignal[index],
+      histogram: series.macdHistogram[index],
+      prevMacd: series.macd[index - 1] ?? null,
+      prevSignal: series.macdSignal[index - 1] ?? null
+    },
+    high30: series.high30[index],
+    low30: series.low30[index],
+    avgVol5: series.avgVol5[index]
+  };
+}
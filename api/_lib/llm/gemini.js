@@ -0,0 +1,71 @@
+// Google Gemini（generateContent / streamGenerateContent）
+// 檔案路徑: /api/_lib/llm/gemini.js
+
+import { fetchLlm, readSseStream } from './registry.js';
+
+const API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+function toPayload(request) {
+  const generationConfig = {};
+  if (request.json) generationConfig.responseMimeType = 'application/json';
+  if (request.maxOutputTokens) generationConfig.maxOutputTokens = request.maxOutputTokens;
+  return {
+    ...(request.system ? { systemInstruction: { parts: [{ text: request.system }] } } : {}),
+    contents: request.messages.map(message => ({ role: message.role, parts: [{ text: message.text }] })),
+    ...(Object.keys(generationConfig).length > 0 ? { generationConfig } : {})
+  };
+}
+
+const getText = (result) => (result?.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+
+const getUsage = (result) => (result?.usageMetadata
+  ? { inputTokens: result.usageMetadata.promptTokenCount ?? null, outputTokens: result.usageMetadata.candidatesTokenCount ?? null }
+  : null);
+
+const geminiBackend = {
+  name: 'gemini',
+  label: 'Google Gemini',
+
+  isConfigured() {
+    return !!process.env.GEMINI_API_KEY;
+  },
+
+  async generate(request, { signal }) {
+    const response = await fetchLlm('Gemini', `${API_BASE}/${request.model}:generateContent?key=${process.env.GEMINI_API_KEY}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(toPayload(request)),
+      signal
+    });
+    const result = await response.json();
+    return { text: getText(result), usage: getUsage(result) };
+  },
+
+  // alt=sse 時每個事件都是一個完整的 generateContent 回應片段，最後一個事件帶有完整的 usageMetadata
+  async stream(request, onText, { signal }) {
+    const response = await fetchLlm('Gemini', `${API_BASE}/${request.model}:streamGenerateContent?alt=sse&key=${process.env.GEMINI_API_KEY}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(toPayload(request)),
+      signal
+    });
+    let text = '';
+    let usage = null;
+    await readSseStream(response.body, data => {
+      let parsed;
+      try {
+        parsed = JSON.parse(data);
+      } catch {
+        return;
+      }
+      usage = getUsage(parsed) || usage;
+      const piece = getText(parsed);
+      if (!piece) return;
+      text += piece;
+      onText(piece);
+    });
+    return { text, usage };
+  }
+};
+
+export default geminiBackend;
@@ -0,0 +1,17 @@
+// 註冊所有 LLM 後端
+// 新增後端時：實作 registry.js 描述的介面，並在這裡註冊即可
+
+import { registerBackend } from './registry.js';
+import geminiBackend from './gemini.js';
+import openaiBackend from './openai.js';
+
+[geminiBackend, openaiBackend].forEach(registerBackend);
+
+export {
+  generateText,
+  streamText,
+  isTaskConfigured,
+  getTaskConfig,
+  getLlmStatus,
+  LLM_TASKS
+} from './registry.js';
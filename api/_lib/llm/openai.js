@@ -0,0 +1,82 @@
+// OpenAI 相容的 Chat Completions 端點（OpenAI、OpenRouter，或本機的 Ollama、LM Studio、vLLM）
+// 檔案路徑: /api/_lib/llm/openai.js
+// OPENAI_BASE_URL 預設為 https://api.openai.com/v1；本機端點通常不需要 OPENAI_API_KEY
+// 例如 OPENAI_BASE_URL=http://localhost:11434/v1 搭配 LLM_MODEL=openai:llama3.1:8b
+
+import { fetchLlm, readSseStream } from './registry.js';
+
+const getBaseUrl = () => (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+
+// json 模式不送出 response_format：json_object 只允許物件，而新聞分析要求回傳陣列，改由提示詞與解析端處理
+function toPayload(request, stream) {
+  return {
+    model: request.model,
+    messages: [
+      ...(request.system ? [{ role: 'system', content: request.system }] : []),
+      ...request.messages.map(message => ({ role: message.role === 'model' ? 'assistant' : 'user', content: message.text }))
+    ],
+    ...(request.maxOutputTokens ? { max_tokens: request.maxOutputTokens } : {}),
+    ...(stream ? { stream: true, stream_options: { include_usage: true } } : {})
+  };
+}
+
+function getHeaders() {
+  return {
+    'Content-Type': 'application/json',
+    ...(process.env.OPENAI_API_KEY ? { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` } : {})
+  };
+}
+
+const getUsage = (result) => (result?.usage
+  ? { inputTokens: result.usage.prompt_tokens ?? null, outputTokens: result.usage.completion_tokens ?? null }
+  : null);
+
+const openaiBackend = {
+  name: 'openai',
+  label: 'OpenAI 相容端點',
+
+  // 設定了 API key（官方服務）或自訂端點（本機模型）即可使用
+  isConfigured() {
+    return !!(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL);
+  },
+
+  async generate(request, { signal }) {
+    const response = await fetchLlm('OpenAI', `${getBaseUrl()}/chat/completions`, {
+      method: 'POST',
+      headers: getHeaders(),
+      body: JSON.stringify(toPayload(request, false)),
+      signal
+    });
+    const result = await response.json();
+    return { text: result.choices?.[0]?.message?.content || '', usage: getUsage(result) };
+  },
+
+  // 串流結束時送出 data: [DONE]；include_usage 時最後一個片段的 choices 為空、帶有 usage
+  async stream(request, onText, { signal }) {
+    const response = await fetchLlm('OpenAI', `${getBaseUrl()}/chat/completions`, {
+      method: 'POST',
+      headers: getHeaders(),
+      body: JSON.stringify(toPayload(request, true)),
+      signal
+    });
+    let text = '';
+    let usage = null;
+    await readSseStream(response.body, data => {
+      if (data === '[DONE]') return;
+      let parsed;
+      try {
+        parsed = JSON.parse(data);
+      } catch {
+        return;
+      }
+      usage = getUsage(parsed) || usage;
+      const piece = parsed.choices?.[0]?.delta?.content || '';
+      if (!piece) return;
+      text += piece;
+      onText(piece);
+    });
+    return { text, usage };
+  }
+};
+
+export default openaiBackend;
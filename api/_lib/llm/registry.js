@@ -0,0 +1,235 @@
+// LLM 後端註冊中心：依任務選擇模型，統一處理逾時、重試與 token 用量記錄
+// 檔案路徑: /api/_lib/llm/registry.js
+// 使用方式：generateText('news', { prompt, json: true }) / streamText('analysis', { prompt }, onText)
+//
+// 後端介面：
+// {
+//   name: 'gemini',                        // 唯一識別名稱，也是模型設定的前綴
+//   label: 'Google Gemini',                // 顯示名稱
+//   isConfigured(): boolean,               // API key 或端點是否已設定
+//   generate(request, { signal }): Promise<{ text, usage }>,
+//   stream(request, onText, { signal }): Promise<{ text, usage }>   // 每收到一段文字呼叫 onText
+// }
+// request 為 { model, system, messages: [{ role: 'user' | 'model', text }], json, maxOutputTokens }
+// usage 為 { inputTokens, outputTokens }，後端沒有回報時為 null
+// 失敗時丟出 llmError，retryable 代表可以重試（429、5xx、逾時與網路錯誤）
+//
+// 注意：用量統計保存在 serverless instance 的記憶體中，每個 instance 各自計算
+
+import { getPromptVersion } from '../prompts/index.js';
+
+const backends = new Map();
+
+// 各任務預設的模型與呼叫參數；模型格式為「後端:模型名稱」，可用環境變數覆寫
+// 例如 LLM_MODEL_NEWS=openai:gpt-4o-mini、LLM_MODEL=openai:llama3.1:8b（本機 OpenAI 相容端點）
+const DEFAULT_MODEL = 'gemini:gemini-2.5-flash';
+export const LLM_TASKS = {
+  news: { timeoutMs: 20000, retries: 2 },
+  analysis: { timeoutMs: 20000, retries: 1 },
+  chat: { timeoutMs: 20000, retries: 1 },
+  briefing: { timeoutMs: 15000, retries: 1 }
+};
+
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 5000;
+
+const usageByTask = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export function registerBackend(backend) {
+  backends.set(backend.name, backend);
+}
+
+export function llmError(message, { status = null, retryable = false, retryAfterMs = null } = {}) {
+  return Object.assign(new Error(message), { status, retryable, retryAfterMs });
+}
+
+// HTTP 錯誤回應轉成 llmError，Retry-After 只接受秒數
+export function httpError(label, response) {
+  const retryAfter = Number(response.headers?.get?.('retry-after'));
+  return llmError(`${label} HTTP ${response.status}: ${response.statusText}`, {
+    status: response.status,
+    retryable: response.status === 429 || response.status >= 500,
+    retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : null
+  });
+}
+
+// 後端共用的 fetch：網路錯誤可重試，非 2xx 回應轉成 httpError；逾時造成的中斷交給 runWithRetry 處理
+export async function fetchLlm(label, url, options) {
+  let response;
+  try {
+    response = await fetch(url, options);
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    throw llmError(`${label} network error: ${error.message}`, { retryable: true });
+  }
+  if (!response.ok) {
+    throw httpError(label, response);
+  }
+  return response;
+}
+
+// 模型名稱本身可能含有冒號（例如 llama3.1:8b），只以第一個冒號切出後端
+export function parseModel(value) {
+  const index = value.indexOf(':');
+  return index > 0
+    ? { backend: value.slice(0, index), model: value.slice(index + 1) }
+    : { backend: 'gemini', model: value };
+}
+
+export function getTaskConfig(task) {
+  const defaults = LLM_TASKS[task];
+  if (!defaults) {
+    throw new Error(`Unknown LLM task: ${task}`);
+  }
+  const { backend, model } = parseModel(process.env[`LLM_MODEL_${task.toUpperCase()}`] || process.env.LLM_MODEL || DEFAULT_MODEL);
+  return { task, backend, model, ...defaults };
+}
+
+function getBackend(config) {
+  const backend = backends.get(config.backend);
+  if (!backend) {
+    throw llmError(`Unknown LLM backend "${config.backend}" for task ${config.task}`);
+  }
+  if (!backend.isConfigured()) {
+    throw llmError(`${backend.label} 未設定（task ${config.task}）`);
+  }
+  return backend;
+}
+
+export function isTaskConfigured(task) {
+  const config = getTaskConfig(task);
+  return !!backends.get(config.backend)?.isConfigured();
+}
+
+// 指數退避加上隨機抖動；上游有 Retry-After 時以它為準，但不超過上限
+function getRetryDelay(error, attempt) {
+  if (error.retryAfterMs) return Math.min(error.retryAfterMs, RETRY_MAX_DELAY_MS);
+  return Math.min(RETRY_BASE_DELAY_MS * 2 ** attempt, RETRY_MAX_DELAY_MS) * (0.75 + Math.random() * 0.5);
+}
+
+function recordUsage(config, usage, elapsedMs, attempt) {
+  const totals = usageByTask.get(config.task) || { calls: 0, failures: 0, inputTokens: 0, outputTokens: 0 };
+  totals.calls++;
+  totals.inputTokens += usage?.inputTokens || 0;
+  totals.outputTokens += usage?.outputTokens || 0;
+  usageByTask.set(config.task, totals);
+  console.log(`[${new Date().toISOString()}] 🤖 LLM ${config.task} ${config.backend}/${config.model} prompt v${getPromptVersion(config.task)}: tokens in=${usage?.inputTokens ?? '?'} out=${usage?.outputTokens ?? '?'}, ${elapsedMs}ms${attempt > 0 ? ` after ${attempt} retries` : ''}`);
+}
+
+function recordFailure(config) {
+  const totals = usageByTask.get(config.task) || { calls: 0, failures: 0, inputTokens: 0, outputTokens: 0 };
+  totals.failures++;
+  usageByTask.set(config.task, totals);
+}
+
+// 逾時以 AbortController 中斷請求；串流在收到第一段文字後就不再計時，只有尚未輸出任何文字時才重試
+async function runWithRetry(config, call) {
+  const startedAt = Date.now();
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timeoutId = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, config.timeoutMs);
+    const state = { emitted: false, clearTimeout: () => clearTimeout(timeoutId) };
+
+    try {
+      const result = await call({ signal: controller.signal, state });
+      recordUsage(config, result.usage, Date.now() - startedAt, attempt);
+      return { ...result, backend: config.backend, model: config.model };
+    } catch (caught) {
+      let error = caught;
+      if (timedOut) {
+        error = llmError(`LLM ${config.task} timeout after ${config.timeoutMs}ms`, { retryable: true });
+      }
+      if (!error.retryable || state.emitted || attempt >= config.retries) {
+        recordFailure(config);
+        throw error;
+      }
+      const delay = getRetryDelay(error, attempt);
+      console.warn(`[${new Date().toISOString()}] ⚠️ LLM ${config.task} attempt ${attempt + 1} failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+}
+
+// request：{ prompt } 為單一使用者訊息，或 { system, messages }；另可指定 json、maxOutputTokens
+function toBackendRequest(config, request) {
+  return {
+    model: config.model,
+    system: request.system || null,
+    messages: request.messages || [{ role: 'user', text: request.prompt }],
+    json: request.json === true,
+    maxOutputTokens: request.maxOutputTokens || null
+  };
+}
+
+// 回傳 { text, usage, backend, model }
+export async function generateText(task, request) {
+  const config = getTaskConfig(task);
+  const backend = getBackend(config);
+  return runWithRetry(config, ({ signal }) => backend.generate(toBackendRequest(config, request), { signal }));
+}
+
+export async function streamText(task, request, onText) {
+  const config = getTaskConfig(task);
+  const backend = getBackend(config);
+  return runWithRetry(config, ({ signal, state }) => backend.stream(toBackendRequest(config, request), text => {
+    if (!state.emitted) {
+      state.emitted = true;
+      state.clearTimeout();
+    }
+    onText(text);
+  }, { signal }));
+}
+
+// api_status 使用：各任務目前的模型、是否已設定與本 instance 的用量
+export function getLlmStatus() {
+  return Object.fromEntries(Object.keys(LLM_TASKS).map(task => {
+    const config = getTaskConfig(task);
+    return [task, {
+      backend: config.backend,
+      model: config.model,
+      promptVersion: getPromptVersion(task),
+      configured: !!backends.get(config.backend)?.isConfigured(),
+      usage: usageByTask.get(task) || { calls: 0, failures: 0, inputTokens: 0, outputTokens: 0 }
+    }];
+  }));
+}
+
+// 從串流緩衝區切出完整的 Server-Sent Events，rest 為尚未收完的部分；只處理 event 與 data 欄位
+export function splitSseEvents(buffer) {
+  const blocks = buffer.replace(/\r\n/g, '\n').split('\n\n');
+  const rest = blocks.pop();
+  const events = blocks
+    .map(block => {
+      let event = 'message';
+      const data = [];
+      block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+      });
+      return { event, data: data.join('\n') };
+    })
+    .filter(item => item.data);
+  return { events, rest };
+}
+
+// 讀取串流回應的 SSE 事件，每個事件的 data 交給 onData
+export async function readSseStream(body, onData) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const { events, rest } = splitSseEvents(buffer);
+    buffer = rest;
+    events.forEach(({ data }) => onData(data));
+  }
+  // 最後一個事件可能沒有結尾的空行
+  splitSseEvents(`${buffer}\n\n`).events.forEach(({ data }) => onData(data));
+}
@@ -0,0 +1,210 @@
+// 市場設定、交易日曆與股票代號解析
+// 代號格式：美股 AAPL.US、台股上市 2330.TW（TWSE）、台股上櫃 6488.TWO（TPEx）
+
+// 休市日與提早收盤日只涵蓋 holidayYears 內的年份，超出範圍的日期只排除週末，並在 log 警告一次
+// 每年需依公告更新下方的日期與 MARKETS 的 holidayYears：
+// - 美股：NYSE Holidays & Trading Hours（https://www.nyse.com/markets/hours-calendars），通常提前一年以上公布
+// - 台股：證交所「市場開休市日期」（https://www.twse.com.tw/zh/trading/holiday.html），每年年底公布隔年日期
+
+// 紐約證交所休市日期（不含週末）
+const US_HOLIDAYS = new Set([
+  '2026-01-01', '2026-01-19', '2026-02-16', '2026-04-03', '2026-05-25',
+  '2026-06-19', '2026-07-03', '2026-09-07', '2026-11-26', '2026-12-25',
+  '2027-01-01', '2027-01-18', '2027-02-15', '2027-03-26', '2027-05-31',
+  '2027-06-18', '2027-07-05', '2027-09-06', '2027-11-25', '2027-12-24'
+]);
+
+// 紐約證交所提早收盤日（13:00 收盤，盤後交易到 17:00）
+const US_EARLY_CLOSES = new Set(['2026-11-27', '2026-12-24', '2027-11-26']);
+
+// 臺灣證券交易所公告的休市日期（不含週末）；2027 年只有元旦，其餘日期待證交所公告
+const TW_HOLIDAYS = new Set([
+  '2026-01-01',
+  '2026-02-12', '2026-02-13', '2026-02-16', '2026-02-17', '2026-02-18', '2026-02-19', '2026-02-20',
+  '2026-02-27',
+  '2026-04-03', '2026-04-06',
+  '2026-05-01',
+  '2026-06-19',
+  '2026-09-25', '2026-09-28',
+  '2026-10-09', '2026-10-26',
+  '2026-12-25',
+  '2027-01-01'
+]);
+
+export const MARKETS = {
+  US: {
+    timeZone: 'America/New_York',
+    preMarketMinutes: 4 * 60,
+    openMinutes: 9 * 60 + 30,
+    closeMinutes: 16 * 60,
+    afterHoursMinutes: 20 * 60,
+    earlyCloseMinutes: 13 * 60,
+    currency: 'USD',
+    holidays: US_HOLIDAYS,
+    earlyCloses: US_EARLY_CLOSES,
+    holidayYears: { from: 2026, to: 2027 }
+  },
+  // 台股盤前為 8:30 開始的試撮，盤後為 14:00-14:30 的盤後定價交易
+  TW: {
+    timeZone: 'Asia/Taipei',
+    preMarketMinutes: 8 * 60 + 30,
+    openMinutes: 9 * 60,
+    closeMinutes: 13 * 60 + 30,
+    afterHoursMinutes: 14 * 60 + 30,
+    earlyCloseMinutes: null,
+    currency: 'TWD',
+    holidays: TW_HOLIDAYS,
+    earlyCloses: new Set(),
+    holidayYears: { from: 2026, to: 2026 }
+  }
+};
+
+// 交易時段：盤前 / 盤中 / 盤後 / 休市
+export const SESSIONS = ['pre', 'regular', 'post', 'closed'];
+
+export function getSymbolMarket(symbol) {
+  return /\.TWO?$/i.test(symbol) ? 'TW' : 'US';
+}
+
+// 台股上市 / 上櫃
+export function getTwExchange(symbol) {
+  return /\.TWO$/i.test(symbol) ? 'TPEx' : 'TWSE';
+}
+
+// 各資料來源使用的代號：美股去掉 .US，台股保留 .TW / .TWO（Yahoo Finance 格式）
+export function toProviderSymbol(symbol) {
+  return symbol.replace(/\.US$/i, '');
+}
+
+// 台股代號本體，例如 2330.TW -> 2330
+export function toTwCode(symbol) {
+  return symbol.replace(/\.TWO?$/i, '');
+}
+
+const warnedHolidayYears = new Set();
+
+// 日期超出休市日清單涵蓋的年份時，每個市場與年份只警告一次
+function checkHolidayCoverage(config, date) {
+  const year = Number(date.slice(0, 4));
+  if (year >= config.holidayYears.from && year <= config.holidayYears.to) return;
+  const key = `${config.timeZone}_${year}`;
+  if (warnedHolidayYears.has(key)) return;
+  warnedHolidayYears.add(key);
+  const { from, to } = config.holidayYears;
+  console.warn(`[${new Date().toISOString()}] ⚠️ ${config.timeZone} holiday calendar covers ${from === to ? from : `${from}-${to}`} only; treating every weekday of ${year} as a trading day. Update api/_lib/markets.js`);
+}
+
+function isTradingDate(config, date) {
+  checkHolidayCoverage(config, date);
+  const day = new Date(`${date}T12:00:00Z`).getUTCDay();
+  return day !== 0 && day !== 6 && !config.holidays.has(date);
+}
+
+function shiftDate(date, days) {
+  const shifted = new Date(`${date}T12:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().split('T')[0];
+}
+
+// 往前 (-1) 或往後 (1) 找下一個交易日，不含 date 本身
+function findTradingDate(config, date, direction) {
+  let current = shiftDate(date, direction);
+  while (!isTradingDate(config, current)) {
+    current = shiftDate(current, direction);
+  }
+  return current;
+}
+
+function getCloseMinutes(config, date) {
+  return config.earlyCloses.has(date) ? config.earlyCloseMinutes : config.closeMinutes;
+}
+
+// 交易所時區的當地日期與分鐘數
+function getLocalTime(config, now) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: config.timeZone,
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+    }).formatToParts(now).map(part => [part.type, part.value])
+  );
+  return {
+    localDate: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    seconds: Number(parts.second)
+  };
+}
+
+export function isMarketDay(market, date) {
+  return isTradingDate(MARKETS[market] || MARKETS.US, date);
+}
+
+// 從 date 開始往前共 count 個交易日（date 本身視為第一個）
+export function getRecentSessionDates(market, date, count) {
+  const config = MARKETS[market] || MARKETS.US;
+  const dates = [date];
+  while (dates.length < count) {
+    dates.push(findTradingDate(config, dates[dates.length - 1], -1));
+  }
+  return dates;
+}
+
+// from 之後到 to（含）之間有幾個交易日，to 不晚於 from 時為 0
+export function countTradingDays(market, from, to) {
+  const config = MARKETS[market] || MARKETS.US;
+  let count = 0;
+  for (let current = shiftDate(from, 1); current <= to; current = shiftDate(current, 1)) {
+    if (isTradingDate(config, current)) count++;
+  }
+  return count;
+}
+
+// 依交易所時區、休市日與提早收盤判斷目前的交易時段
+// lastClosedSessionDate：最近一個已收盤的交易日；sessionDate：目前資料所屬的交易日（盤中為今天，其餘為最近收盤日）
+// 歷史資料的快取鍵與休市時的回退都以 sessionDate 為準，不使用伺服器的 UTC 日期
+export function getMarketClock(market = 'US', now = new Date()) {
+  const config = MARKETS[market] || MARKETS.US;
+  const { localDate, minutes, seconds } = getLocalTime(config, now);
+  const isTradingDay = isTradingDate(config, localDate);
+  const closeMinutes = getCloseMinutes(config, localDate);
+  const isEarlyClose = isTradingDay && config.earlyCloses.has(localDate);
+  const afterHoursMinutes = isEarlyClose ? closeMinutes + (config.afterHoursMinutes - config.closeMinutes) : config.afterHoursMinutes;
+
+  let session = 'closed';
+  if (isTradingDay) {
+    if (minutes >= config.preMarketMinutes && minutes < config.openMinutes) session = 'pre';
+    else if (minutes >= config.openMinutes && minutes < closeMinutes) session = 'regular';
+    else if (minutes >= closeMinutes && minutes < afterHoursMinutes) session = 'post';
+  }
+  const isOpen = session === 'regular';
+
+  // 今天尚未收盤時，最近一個已收盤交易日是前一個交易日
+  const lastClosedSessionDate = isTradingDay && minutes >= closeMinutes
+    ? localDate
+    : findTradingDate(config, localDate, -1);
+
+  // 下一次開盤：今天還沒開盤就是今天，否則是下一個交易日
+  const nextOpenDate = isTradingDay && minutes < config.openMinutes
+    ? localDate
+    : findTradingDate(config, localDate, 1);
+
+  // 以當地時間換算秒數，跨夏令時間切換時最多誤差一小時
+  const elapsedSeconds = minutes * 60 + seconds;
+  const daysUntilOpen = Math.round((new Date(`${nextOpenDate}T12:00:00Z`) - new Date(`${localDate}T12:00:00Z`)) / 86400000);
+  const secondsUntilOpen = isOpen ? 0 : daysUntilOpen * 86400 + config.openMinutes * 60 - elapsedSeconds;
+  const secondsUntilClose = isOpen ? closeMinutes * 60 - elapsedSeconds : null;
+
+  return {
+    market,
+    session,
+    isOpen,
+    isTradingDay,
+    isEarlyClose,
+    localDate,
+    sessionDate: isOpen ? localDate : lastClosedSessionDate,
+    lastClosedSessionDate,
+    nextOpenDate,
+    secondsUntilOpen,
+    secondsUntilClose
+  };
+}
@@ -0,0 +1,105 @@
+// 個股新聞的分頁、AI 翻譯與情緒分析
+// 檔案路徑: /api/_lib/news.js
+// 由 get-stock-data.js 的 get_news 與 news_digest 使用；LLM 呼叫在 get-stock-data.js，這裡只負責提示詞與結果整理
+
+import { createHash } from 'node:crypto';
+import { renderPrompt } from './prompts/index.js';
+
+export const NEWS_DEFAULT_DAYS = 7;
+export const NEWS_MAX_DAYS = 30;
+export const NEWS_PAGE_SIZE = 10;
+export const NEWS_MAX_PAGE_SIZE = 20;
+// 新聞摘要一次合併多檔股票，預設回溯較短、股票數有上限
+export const NEWS_DIGEST_DEFAULT_DAYS = 3;
+export const NEWS_DIGEST_MAX_SYMBOLS = 30;
+
+export const SENTIMENTS = ['positive', 'neutral', 'negative'];
+
+// Finnhub 文章有數字 id；Google News 沒有 id，以網址的雜湊代替
+export function getArticleId(article) {
+  if (article.id) return String(article.id);
+  return createHash('sha1').update(article.url || article.headline || '').digest('hex').slice(0, 16);
+}
+
+export function paginate(list, page, pageSize) {
+  const start = (page - 1) * pageSize;
+  return {
+    items: list.slice(start, start + pageSize),
+    total: list.length,
+    hasMore: start + pageSize < list.length
+  };
+}
+
+// 一次分析一頁的文章，要求 LLM 回傳 JSON 陣列，順序與輸入相同
+// 每篇文章的 subject 為判斷情緒的對象（公司名稱、代號，或大盤新聞的 the overall stock market）
+export function buildNewsAnalysisPrompt(articles) {
+  const list = articles.map((article, index) => ({
+    index,
+    subject: article.subject,
+    headline: article.headline,
+    summary: (article.summary || '').slice(0, 500)
+  }));
+  return renderPrompt('news', { articles: JSON.stringify(list) });
+}
+
+// 驗證 LLM 的回應，格式不正確的項目回傳 null，讓呼叫端不寫入快取
+export function parseNewsAnalysis(text, count) {
+  let parsed;
+  try {
+    parsed = JSON.parse(String(text).replace(/^```(?:json)?\s*|\s*```$/g, ''));
+  } catch {
+    return new Array(count).fill(null);
+  }
+  const byIndex = new Map((Array.isArray(parsed) ? parsed : []).map(item => [Number(item?.index), item]));
+  return Array.from({ length: count }, (_, index) => {
+    const item = byIndex.get(index);
+    if (!item || !SENTIMENTS.includes(item.sentiment) || typeof item.headline !== 'string') return null;
+    return {
+      headline: item.headline.replace(/"/g, '').trim(),
+      sentiment: item.sentiment,
+      summary: typeof item.summary === 'string' ? item.summary.trim() : ''
+    };
+  });
+}
+
+// 標題正規化：忽略大小寫、空白與標點，用來找出不同來源轉載的同一則新聞
+export function normalizeHeadline(headline) {
+  return String(headline || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+// 合併多檔股票與大盤的新聞列表（lists 為 [{ symbol, articles }]，大盤新聞的 symbol 為 null）
+// 同一則新聞（相同 id 或相同標題）只保留一筆，symbols 記錄所有相關的股票，依時間由新到舊排序
+export function mergeNewsLists(lists) {
+  const byKey = new Map();
+  const merged = [];
+  lists.forEach(({ symbol, articles }) => {
+    articles.forEach(article => {
+      const keys = [`id:${article.id}`, `headline:${normalizeHeadline(article.headline)}`];
+      const existing = keys.map(key => byKey.get(key)).find(Boolean);
+      if (existing) {
+        if (symbol && !existing.symbols.includes(symbol)) existing.symbols.push(symbol);
+        return;
+      }
+      const entry = { ...article, symbols: symbol ? [symbol] : [] };
+      keys.forEach(key => byKey.set(key, entry));
+      merged.push(entry);
+    });
+  });
+  return merged
+    .map(article => ({ ...article, isMarketNews: article.symbols.length === 0 }))
+    .sort((a, b) => b.datetime - a.datetime);
+}
+
+// 情緒統計：score 為 (正面 - 負面) / 已分析則數，介於 -1 到 1
+export function aggregateSentiment(items) {
+  const counts = { positive: 0, neutral: 0, negative: 0 };
+  items.forEach(item => {
+    if (SENTIMENTS.includes(item.sentiment)) counts[item.sentiment]++;
+  });
+  const analyzed = counts.positive + counts.neutral + counts.negative;
+  return {
+    ...counts,
+    analyzed,
+    score: analyzed > 0 ? Math.round(((counts.positive - counts.negative) / analyzed) * 100) / 100 : null
+  };
+}
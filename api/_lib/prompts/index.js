@@ -0,0 +1,44 @@
+// 提示詞範本：每個 LLM 任務一個帶版本號的文字檔 {task}.v{version}.md，以 {{name}} 標記變數
+// 檔案路徑: /api/_lib/prompts/index.js
+// 修改提示詞時新增下一個版本的檔案並更新 PROMPT_VERSIONS；舊版本保留，可用環境變數 PROMPT_VERSION_{TASK} 切回
+//
+// Vercel 打包時需要包含這些文字檔，見 vercel.json 的 includeFiles
+
+import { readFileSync } from 'node:fs';
+
+export const PROMPT_VERSIONS = {
+  news: 1,       // 新聞標題翻譯、摘要與情緒（news.js）
+  analysis: 1,   // 個股 AI 分析（ai-analysis.js）
+  chat: 1,       // 個股問答的系統提示（chat.js）
+  briefing: 1    // 每日簡報（briefing.js）
+};
+
+const templates = new Map();
+
+export function getPromptVersion(task) {
+  const override = Number(process.env[`PROMPT_VERSION_${task.toUpperCase()}`]);
+  return Number.isInteger(override) && override > 0 ? override : PROMPT_VERSIONS[task];
+}
+
+function loadTemplate(task, version) {
+  const file = `${task}.v${version}.md`;
+  if (!templates.has(file)) {
+    const text = readFileSync(new URL(`./${file}`, import.meta.url), 'utf8');
+    templates.set(file, text.replace(/\n+$/, ''));
+  }
+  return templates.get(file);
+}
+
+// 以 variables 取代範本中的 {{name}}；範本用到但沒有提供的變數視為程式錯誤
+export function renderPrompt(task, variables) {
+  const version = getPromptVersion(task);
+  if (!version) {
+    throw new Error(`Unknown prompt task: ${task}`);
+  }
+  return loadTemplate(task, version).replace(/\{\{(\w+)\}\}/g, (_, name) => {
+    if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+      throw new Error(`Prompt ${task}.v${version} is missing variable "${name}"`);
+    }
+    return String(variables[name]);
+  });
+}
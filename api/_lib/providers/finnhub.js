@@ -0,0 +1,73 @@
+// Finnhub stock candles - 最後備用數據源
+// 注意：免費版無法存取歷史 K 線，未升級方案時會由斷路器自動略過
+
+import { fetchWithTimeout, providerError, toCandleDate, getRangeStartSeconds } from './registry.js';
+
+const finnhubProvider = {
+  name: 'finnhub',
+  label: 'Finnhub',
+  timeframes: ['5M', 'D'],
+  markets: ['US'],
+  rateLimit: { capacity: 30, refillPerMinute: 60 },
+  circuitBreaker: { failureThreshold: 2, cooldownMs: 30 * 60 * 1000 },
+
+  isConfigured() {
+    return !!process.env.FINNHUB_API_KEY;
+  },
+
+  async fetchHistory(symbol, timeframe, { range } = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const resolution = timeframe === '5M' ? '5' : 'D';
+    const from = timeframe === '5M' ? now - (5 * 86400) : getRangeStartSeconds(range);
+    const response = await fetchWithTimeout(
+      `https://finnhub.io/api/v1/stock/candle?symbol=${symbol}&resolution=${resolution}&from=${from}&to=${now}&token=${process.env.FINNHUB_API_KEY}`
+    );
+
+    if (response.status === 429) {
+      throw providerError('Finnhub API HTTP 429: rate limited', { rateLimited: true, retryAfterMs: 60000 });
+    }
+    if (!response.ok) {
+      throw providerError(`Finnhub API HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const json = await response.json();
+    if (json.s !== 'ok' || !json.c?.length) {
+      throw providerError(`No Finnhub candle data for ${symbol}`, { noData: true });
+    }
+
+    const candles = json.c.map((close, i) => ({
+      date: toCandleDate(json.t[i] * 1000, timeframe),
+      open: json.o[i],
+      high: json.h[i],
+      low: json.l[i],
+      close,
+      volume: json.v[i] || 0
+    })).sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    return { candles, meta: { name: symbol } };
+  },
+
+  // 美股代號 / 公司名稱搜尋（Yahoo Finance 搜尋失敗時使用）
+  async searchSymbols(query) {
+    const response = await fetchWithTimeout(
+      `https://finnhub.io/api/v1/search?q=${encodeURIComponent(query)}&exchange=US&token=${process.env.FINNHUB_API_KEY}`
+    );
+    if (response.status === 429) {
+      throw providerError('Finnhub API HTTP 429: rate limited', { rateLimited: true, retryAfterMs: 60000 });
+    }
+    if (!response.ok) {
+      throw providerError(`Finnhub search HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const json = await response.json();
+    return (json.result || []).map(item => ({
+      symbol: item.symbol,
+      name: item.description || item.symbol,
+      exchangeCode: null,
+      exchange: 'US',
+      type: item.type || 'Common Stock'
+    }));
+  }
+};
+
+export default finnhubProvider;
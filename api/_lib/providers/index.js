@@ -0,0 +1,24 @@
+// 註冊所有市場數據 provider
+// 新增資料來源時：實作 registry.js 描述的介面，並在這裡註冊即可
+
+import { registerProvider } from './registry.js';
+import polygonProvider from './polygon.js';
+import yahooProvider from './yahoo.js';
+import twelveDataProvider from './twelve-data.js';
+import finnhubProvider from './finnhub.js';
+import twseProvider from './twse.js';
+
+[polygonProvider, yahooProvider, twelveDataProvider, finnhubProvider, twseProvider].forEach(registerProvider);
+
+export {
+  fetchHistoryWithFallback,
+  runWithProvider,
+  getProvider,
+  getProviderPriority,
+  getProviderStatus,
+  HISTORY_RANGES,
+  DEFAULT_RANGE,
+  normalizeRange
+} from './registry.js';
+
+export { polygonProvider, twseProvider };
@@ -0,0 +1,129 @@
+// Polygon.io - 主要數據源（速度快，免費版 5 requests/minute）
+
+import { fetchWithTimeout, providerError, toCandleDate, getRangeStartSeconds } from './registry.js';
+
+const BASE_URL = 'https://api.polygon.io';
+
+async function polygonRequest(path) {
+  const apiKey = process.env.POLYGON_API_KEY;
+  const separator = path.includes('?') ? '&' : '?';
+  const apiUrl = `${BASE_URL}${path}${separator}apiKey=${apiKey}`;
+  console.log(`[${new Date().toISOString()}] Fetching from Polygon.io: ${apiUrl.replace(/apiKey=.*/, 'apiKey=***')}`);
+
+  const response = await fetchWithTimeout(apiUrl, {
+    headers: {
+      'Accept': 'application/json',
+      'User-Agent': 'Mozilla/5.0'
+    }
+  });
+
+  if (response.status === 429) {
+    throw providerError('Polygon.io API HTTP 429: rate limited', { rateLimited: true, retryAfterMs: 60000 });
+  }
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error(`[${new Date().toISOString()}] Polygon.io HTTP error ${response.status}:`, errorText.substring(0, 200));
+    throw providerError(`Polygon.io API HTTP ${response.status}: ${response.statusText}`, { noData: response.status === 404 });
+  }
+
+  return response.json();
+}
+
+const polygonProvider = {
+  name: 'polygon',
+  label: 'Polygon.io',
+  timeframes: ['5M', 'D'],
+  markets: ['US'],
+  // 免費版只提供約 2 年的歷史資料，更長的區間交給其他來源
+  ranges: ['3M', '6M', '1Y'],
+  rateLimit: { capacity: 5, refillPerMinute: 5 },
+  circuitBreaker: { failureThreshold: 3, cooldownMs: 60000 },
+
+  isConfigured() {
+    return !!process.env.POLYGON_API_KEY;
+  },
+
+  async fetchHistory(symbol, timeframe, { range } = {}) {
+    const today = new Date();
+    let path;
+    if (timeframe === '5M') {
+      // 5分線：使用 intraday aggregates
+      const fromDate = new Date(today.getTime() - (5 * 24 * 60 * 60 * 1000)).toISOString().split('T')[0];
+      const toDate = today.toISOString().split('T')[0];
+      path = `/v2/aggs/ticker/${symbol}/range/5/minute/${fromDate}/${toDate}?adjusted=true&sort=asc`;
+    } else {
+      // 日線：依 range 決定起始日
+      const fromDate = new Date(getRangeStartSeconds(range) * 1000).toISOString().split('T')[0];
+      const toDate = today.toISOString().split('T')[0];
+      path = `/v2/aggs/ticker/${symbol}/range/1/day/${fromDate}/${toDate}?adjusted=true&sort=asc&limit=50000`;
+    }
+
+    const data = await polygonRequest(path);
+
+    if (data.status === 'ERROR') {
+      throw providerError(`Polygon.io error: ${data.error}`);
+    }
+    if (!data.results || data.results.length === 0) {
+      throw providerError('No data available', { noData: true });
+    }
+
+    const candles = data.results.map(item => ({
+      date: toCandleDate(item.t, timeframe),
+      open: item.o,
+      high: item.h,
+      low: item.l,
+      close: item.c,
+      volume: item.v || 0
+    }));
+
+    return { candles, meta: { name: symbol } };
+  },
+
+  // Grouped Daily API - 一次取得全市場某一天的日 K，回傳 symbol -> candle 的 Map
+  async fetchGroupedDaily(date) {
+    const data = await polygonRequest(`/v2/aggs/grouped/locale/us/market/stocks/${date}?adjusted=true`);
+
+    if (data.status !== 'OK' || !data.results) {
+      throw providerError('No grouped data available', { noData: true });
+    }
+
+    const stockMap = new Map();
+    data.results.forEach(item => {
+      stockMap.set(item.T, {
+        date,
+        open: item.o,
+        high: item.h,
+        low: item.l,
+        close: item.c,
+        volume: item.v || 0
+      });
+    });
+    return stockMap;
+  },
+
+  // 全市場在 from ~ to 之間除息的現金股利（含已宣告、尚未除息的），一次取得所有股票
+  // 每頁 1000 筆，最多讀 3 頁；分頁請求只占用一次 rate limit 額度
+  async fetchDividendCalendar(from, to) {
+    let path = `/v3/reference/dividends?ex_dividend_date.gte=${from}&ex_dividend_date.lte=${to}&order=asc&sort=ex_dividend_date&limit=1000`;
+    const dividends = [];
+    for (let page = 0; path && page < 3; page++) {
+      const data = await polygonRequest(path);
+      if (data.status === 'ERROR') {
+        throw providerError(`Polygon.io error: ${data.error}`);
+      }
+      (data.results || []).forEach(item => {
+        dividends.push({
+          symbol: item.ticker,
+          exDate: item.ex_dividend_date,
+          payDate: item.pay_date || null,
+          amount: item.cash_amount ?? null,
+          currency: item.currency || 'USD'
+        });
+      });
+      path = data.next_url ? data.next_url.replace(BASE_URL, '') : null;
+    }
+    return dividends;
+  }
+};
+
+export default polygonProvider;
@@ -0,0 +1,350 @@
+// 市場數據 provider 註冊中心
+// 檔案路徑: /api/_lib/providers/registry.js
+// 每個 provider 都實作相同介面，由這裡統一處理優先順序、rate limit 與斷路器
+//
+// Provider 介面：
+// {
+//   name: 'polygon',                       // 唯一識別名稱
+//   label: 'Polygon.io',                   // 顯示名稱
+//   timeframes: ['5M', 'D'],               // 支援的時間框架
+//   markets: ['US', 'TW'],                 // 支援的市場，預設 ['US']
+//   ranges: ['3M', '6M', '1Y'],            // 選用，日線支援的歷史區間，未設定代表全部支援
+//   rateLimit: { capacity, refillPerMinute },
+//   circuitBreaker: { failureThreshold, cooldownMs },   // 選用
+//   isConfigured(): boolean,               // API key 是否已設定
+//   fetchHistory(symbol, timeframe, { range }): Promise<{ candles, meta }>,   // range 只影響日線
+//   getQuota(): object | null              // 選用，回報 provider 自己的配額資訊
+//   fetchExtendedQuotes(symbols): Promise<Map<symbol, { session, price, change, changePercent, basePrice, timestamp } | null>>
+//                                          // 選用，多檔美股的盤前 / 盤後報價，沒有盤外成交時為 null；
+//                                          // 一次最多 extendedQuoteBatchSize 檔
+//   searchSymbols(query): Promise<[{ symbol, name, exchangeCode, exchange, type }]>
+//                                          // 選用，代號 / 公司名稱搜尋，symbol 為 provider 自己的格式
+//   fetchDividendCalendar(from, to): Promise<[{ symbol, exDate, payDate, amount, currency }]>
+//                                          // 選用，全市場在區間內除息的現金股利
+// }
+//
+// 只提供報價的 provider（例如 twse）timeframes 為空陣列，不參與歷史資料的 fallback
+//
+// candles 一律為舊到新排序的 { date, open, high, low, close, volume } 陣列
+// 注意：狀態保存在 serverless instance 的記憶體中，每個 instance 各自計算
+
+import { getSymbolMarket } from '../markets.js';
+
+const providers = new Map();
+
+// 各時間框架預設的資料來源優先順序，可用環境變數覆寫
+// 例如 PROVIDER_PRIORITY_D=yahoo,polygon
+const DEFAULT_PRIORITY = {
+  '5M': ['polygon', 'yahoo', 'twelveData', 'finnhub'],
+  D: ['polygon', 'yahoo', 'twelveData', 'finnhub']
+};
+
+// 日線歷史區間（天數），max 為資料來源能提供的全部歷史
+export const HISTORY_RANGES = {
+  '3M': 90,
+  '6M': 183,
+  '1Y': 366,
+  '5Y': 1827,
+  max: null
+};
+
+export const DEFAULT_RANGE = '3M';
+
+export function normalizeRange(range) {
+  return Object.prototype.hasOwnProperty.call(HISTORY_RANGES, range) ? range : DEFAULT_RANGE;
+}
+
+// 區間起點（Unix 秒）；max 從 1970 年開始，由資料來源回傳實際可用的最早資料
+export function getRangeStartSeconds(range, now = Date.now()) {
+  const days = HISTORY_RANGES[normalizeRange(range)];
+  return days === null ? 0 : Math.floor(now / 1000) - days * 86400;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 建立 provider 錯誤：noData 代表該股票沒有資料（不影響斷路器），rateLimited 代表被上游限流
+export function providerError(message, { noData = false, rateLimited = false, retryAfterMs = null } = {}) {
+  return Object.assign(new Error(message), { noData, rateLimited, retryAfterMs });
+}
+
+// 5分線保留完整 ISO 時間，日線使用 UTC 日期避免時區問題
+export function toCandleDate(timestampMs, timeframe) {
+  const date = new Date(timestampMs);
+  if (timeframe === '5M') return date.toISOString();
+  return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}-${String(date.getUTCDate()).padStart(2, '0')}`;
+}
+
+// 原生 fetch 不支援 timeout 參數，改用 AbortController
+export async function fetchWithTimeout(url, options = {}, timeoutMs = 10000) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`Request timeout after ${timeoutMs}ms`);
+    }
+    throw new Error(`Network error: ${error.message}`);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// Token bucket：容量 capacity，每分鐘補充 refillPerMinute 個 token
+export function createTokenBucket({ capacity, refillPerMinute }) {
+  let tokens = capacity;
+  let lastRefill = Date.now();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - lastRefill) * refillPerMinute) / 60000);
+    lastRefill = now;
+  };
+
+  return {
+    msUntilAvailable() {
+      refill();
+      return tokens >= 1 ? 0 : Math.ceil(((1 - tokens) * 60000) / refillPerMinute);
+    },
+    // 取得一個 token；需要等待的時間超過 maxWaitMs 就直接放棄
+    async acquire(maxWaitMs = 0) {
+      const waitMs = this.msUntilAvailable();
+      if (waitMs > maxWaitMs) return false;
+      if (waitMs > 0) await sleep(waitMs);
+      refill();
+      if (tokens < 1) return false;
+      tokens -= 1;
+      return true;
+    },
+    status() {
+      refill();
+      return {
+        capacity,
+        refillPerMinute,
+        available: Math.floor(tokens),
+        nextTokenInMs: tokens >= 1 ? 0 : Math.ceil(((1 - tokens) * 60000) / refillPerMinute)
+      };
+    }
+  };
+}
+
+// 斷路器：連續失敗達 failureThreshold 次後開啟，冷卻 cooldownMs 後半開放行一次試探請求
+export function createCircuitBreaker({ failureThreshold = 3, cooldownMs = 60000 } = {}) {
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openUntil = 0;
+  let halfOpenInFlight = false;
+
+  const open = (durationMs) => {
+    state = 'open';
+    openUntil = Date.now() + durationMs;
+    halfOpenInFlight = false;
+  };
+
+  return {
+    canRequest() {
+      if (state === 'open' && Date.now() >= openUntil) {
+        state = 'half-open';
+        halfOpenInFlight = false;
+      }
+      if (state === 'open') return false;
+      if (state === 'half-open') {
+        if (halfOpenInFlight) return false;
+        halfOpenInFlight = true;
+      }
+      return true;
+    },
+    // canRequest 放行後請求沒有真正送出（例如被 rate limit 擋下）時歸還試探名額
+    release() {
+      halfOpenInFlight = false;
+    },
+    recordSuccess() {
+      state = 'closed';
+      consecutiveFailures = 0;
+      openUntil = 0;
+      halfOpenInFlight = false;
+    },
+    recordFailure() {
+      consecutiveFailures++;
+      if (state === 'half-open' || consecutiveFailures >= failureThreshold) {
+        open(cooldownMs);
+      }
+      halfOpenInFlight = false;
+    },
+    // 上游明確回報限流時，直接依 retry-after 開啟斷路器
+    trip(durationMs) {
+      open(durationMs || cooldownMs);
+    },
+    status() {
+      if (state === 'open' && Date.now() >= openUntil) {
+        return { state: 'half-open', consecutiveFailures, failureThreshold, cooldownMs, reopensAt: null };
+      }
+      return {
+        state,
+        consecutiveFailures,
+        failureThreshold,
+        cooldownMs,
+        reopensAt: state === 'open' ? new Date(openUntil).toISOString() : null
+      };
+    }
+  };
+}
+
+export function registerProvider(provider) {
+  const cooldownMs = Number(process.env.PROVIDER_COOLDOWN_MS) || provider.circuitBreaker?.cooldownMs;
+  providers.set(provider.name, {
+    provider,
+    bucket: createTokenBucket(provider.rateLimit),
+    breaker: createCircuitBreaker({ ...provider.circuitBreaker, ...(cooldownMs ? { cooldownMs } : {}) }),
+    stats: {
+      requests: 0,
+      successes: 0,
+      failures: 0,
+      rateLimited: 0,
+      circuitSkips: 0,
+      lastLatencyMs: null,
+      avgLatencyMs: null,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastError: null
+    }
+  });
+}
+
+export function getProvider(name) {
+  return providers.get(name)?.provider || null;
+}
+
+export function normalizeTimeframe(timeframe) {
+  return timeframe === '5M' ? '5M' : 'D';
+}
+
+export function getProviderPriority(timeframe) {
+  const tf = normalizeTimeframe(timeframe);
+  const override = process.env[`PROVIDER_PRIORITY_${tf}`];
+  const order = override
+    ? override.split(',').map(name => name.trim()).filter(Boolean)
+    : DEFAULT_PRIORITY[tf];
+  return order.filter(name => providers.has(name));
+}
+
+function recordLatency(stats, latencyMs) {
+  stats.lastLatencyMs = latencyMs;
+  stats.avgLatencyMs = stats.avgLatencyMs === null
+    ? latencyMs
+    : Math.round(stats.avgLatencyMs * 0.8 + latencyMs * 0.2);
+}
+
+// 透過指定 provider 執行請求，套用斷路器、token bucket 與健康統計
+export async function runWithProvider(name, task, { maxWaitMs = 0 } = {}) {
+  const entry = providers.get(name);
+  if (!entry) throw new Error(`Unknown provider: ${name}`);
+  const { provider, bucket, breaker, stats } = entry;
+
+  if (!breaker.canRequest()) {
+    stats.circuitSkips++;
+    throw providerError(`${provider.label} circuit open`);
+  }
+
+  if (!(await bucket.acquire(maxWaitMs))) {
+    breaker.release();
+    stats.rateLimited++;
+    throw providerError(`${provider.label} rate limited (local token bucket)`);
+  }
+
+  stats.requests++;
+  const startTime = Date.now();
+  try {
+    const result = await task();
+    recordLatency(stats, Date.now() - startTime);
+    stats.successes++;
+    stats.lastSuccessAt = new Date().toISOString();
+    breaker.recordSuccess();
+    return result;
+  } catch (error) {
+    recordLatency(stats, Date.now() - startTime);
+    if (error.noData) {
+      // 股票本身沒有資料，provider 仍然健康
+      breaker.recordSuccess();
+    } else {
+      stats.failures++;
+      stats.lastFailureAt = new Date().toISOString();
+      stats.lastError = error.message;
+      if (error.rateLimited) {
+        stats.rateLimited++;
+        breaker.trip(error.retryAfterMs);
+      } else {
+        breaker.recordFailure();
+      }
+    }
+    throw error;
+  }
+}
+
+// 依優先順序逐一嘗試 provider，回傳第一個有資料的結果
+export async function fetchHistoryWithFallback(symbol, timeframe, { maxWaitMs = 0, range = DEFAULT_RANGE } = {}) {
+  const tf = normalizeTimeframe(timeframe);
+  const historyRange = normalizeRange(range);
+  const market = getSymbolMarket(symbol);
+  const attempts = [];
+
+  for (const name of getProviderPriority(tf)) {
+    const { provider } = providers.get(name);
+
+    if (!provider.timeframes.includes(tf)) continue;
+    if (!(provider.markets || ['US']).includes(market)) continue;
+    if (tf === 'D' && provider.ranges && !provider.ranges.includes(historyRange)) continue;
+    if (!provider.isConfigured()) {
+      attempts.push({ provider: name, skipped: 'not configured' });
+      continue;
+    }
+
+    try {
+      const result = await runWithProvider(name, () => provider.fetchHistory(symbol, tf, { range: historyRange }), { maxWaitMs });
+      if (result?.candles?.length > 0) {
+        console.log(`[${new Date().toISOString()}] ✅ ${provider.label} success: ${result.candles.length} data points for ${symbol}`);
+        return { ...result, provider: name, source: provider.label, attempts };
+      }
+      attempts.push({ provider: name, error: 'empty result' });
+    } catch (error) {
+      console.warn(`[${new Date().toISOString()}] ${provider.label} failed for ${symbol}, trying next provider:`, error.message);
+      attempts.push({ provider: name, error: error.message });
+    }
+  }
+
+  const summary = attempts.map(a => `${a.provider}: ${a.error || a.skipped}`).join('; ');
+  throw new Error(`All providers failed (${summary})`);
+}
+
+// 供 action=api_status 使用的即時健康報告
+export function getProviderStatus() {
+  const priorities = {
+    '5M': getProviderPriority('5M'),
+    D: getProviderPriority('D')
+  };
+
+  return [...providers.values()].map(({ provider, bucket, breaker, stats }) => ({
+    name: provider.name,
+    label: provider.label,
+    configured: provider.isConfigured(),
+    timeframes: provider.timeframes,
+    markets: provider.markets || ['US'],
+    ranges: provider.ranges || Object.keys(HISTORY_RANGES),
+    priority: Object.fromEntries(
+      Object.entries(priorities).map(([tf, order]) => [tf, order.includes(provider.name) ? order.indexOf(provider.name) + 1 : null])
+    ),
+    circuit: breaker.status(),
+    latency: { lastMs: stats.lastLatencyMs, avgMs: stats.avgLatencyMs },
+    quota: { ...bucket.status(), upstream: provider.getQuota?.() || null },
+    stats: {
+      requests: stats.requests,
+      successes: stats.successes,
+      failures: stats.failures,
+      rateLimited: stats.rateLimited,
+      circuitSkips: stats.circuitSkips,
+      lastSuccessAt: stats.lastSuccessAt,
+      lastFailureAt: stats.lastFailureAt,
+      lastError: stats.lastError
+    }
+  }));
+}
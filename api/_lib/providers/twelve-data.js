@@ -0,0 +1,109 @@
+// Twelve Data - 備用數據源
+// 免費版限制：8 requests/minute，支援主要與備用兩組 API key
+
+import { fetchWithTimeout, providerError, normalizeRange } from './registry.js';
+
+// 最近一次回應標頭中的配額資訊
+let lastQuota = null;
+
+function getApiKeys() {
+  return [
+    { key: process.env.TWELVE_DATA_API_KEY, type: 'primary' },
+    { key: process.env.TWELVE_DATA_API_KEY_BACKUP || process.env.TWELVE_DATA_BACKUP_API_KEY, type: 'backup' }
+  ].filter(item => item.key);
+}
+
+// 日線依 range 決定筆數（約每年 252 個交易日），API 上限 5000 筆
+const DAILY_OUTPUT_SIZE = { '3M': 120, '6M': 130, '1Y': 260, '5Y': 1300, max: 5000 };
+
+function isRateLimitMessage(message = '') {
+  const text = message.toLowerCase();
+  return text.includes('rate limit') || text.includes('quota') || text.includes('limit exceeded');
+}
+
+const twelveDataProvider = {
+  name: 'twelveData',
+  label: 'Twelve Data',
+  timeframes: ['5M', 'D'],
+  markets: ['US'],
+  rateLimit: { capacity: 8, refillPerMinute: 8 },
+  circuitBreaker: { failureThreshold: 3, cooldownMs: 300000 },
+
+  isConfigured() {
+    return getApiKeys().length > 0;
+  },
+
+  getQuota() {
+    return lastQuota;
+  },
+
+  async fetchHistory(symbol, timeframe, { range } = {}) {
+    const interval = timeframe === '5M' ? '5min' : '1day';
+    const outputsize = timeframe === '5M' ? 390 : DAILY_OUTPUT_SIZE[normalizeRange(range)];
+    let rateLimitedKeys = 0;
+    let lastError = null;
+
+    // 主要 key 被限流時自動改用備用 key
+    for (const { key: apiKey, type: keyType } of getApiKeys()) {
+      const response = await fetchWithTimeout(
+        `https://api.twelvedata.com/time_series?symbol=${symbol}&interval=${interval}&outputsize=${outputsize}&timezone=UTC&apikey=${apiKey}`
+      );
+
+      lastQuota = {
+        key: keyType,
+        remaining: response.headers.get('x-ratelimit-remaining'),
+        reset: response.headers.get('x-ratelimit-reset')
+      };
+
+      if (response.status === 429) {
+        rateLimitedKeys++;
+        lastError = `Twelve Data ${keyType} key HTTP 429: rate limited`;
+        continue;
+      }
+      if (!response.ok) {
+        lastError = `Twelve Data ${keyType} key HTTP ${response.status}: ${response.statusText}`;
+        continue;
+      }
+
+      const json = await response.json();
+
+      // 檢查是否有錯誤響應（API 配額用完等）
+      if (json.code || json.status === 'error') {
+        if (json.code === 429 || isRateLimitMessage(json.message)) {
+          rateLimitedKeys++;
+          lastError = `Twelve Data ${keyType} key rate limited: ${json.message}`;
+          continue;
+        }
+        if (json.code === 400 || json.code === 404) {
+          throw providerError(`Twelve Data: ${json.message}`, { noData: true });
+        }
+        lastError = `Twelve Data ${keyType} key API error: ${json.message || json.code}`;
+        continue;
+      }
+
+      if (!Array.isArray(json.values) || json.values.length === 0) {
+        throw providerError('No data returned', { noData: true });
+      }
+
+      // Twelve Data 回傳新到舊，轉為舊到新的標準格式
+      const candles = json.values.map(item => ({
+        date: timeframe === '5M' ? new Date(`${item.datetime.replace(' ', 'T')}Z`).toISOString() : item.datetime,
+        open: parseFloat(item.open),
+        high: parseFloat(item.high),
+        low: parseFloat(item.low),
+        close: parseFloat(item.close),
+        volume: parseInt(item.volume) || 0
+      })).reverse();
+
+      return { candles, meta: { name: json.meta?.symbol || symbol } };
+    }
+
+    const allKeysLimited = rateLimitedKeys > 0 && rateLimitedKeys === getApiKeys().length;
+    throw providerError(lastError || 'Twelve Data request failed', {
+      rateLimited: allKeysLimited,
+      retryAfterMs: allKeysLimited ? 60 * 60 * 1000 : null
+    });
+  }
+};
+
+export default twelveDataProvider;
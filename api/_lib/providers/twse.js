@@ -0,0 +1,74 @@
+// 臺灣證券交易所基本市況報導（MIS）- 台股上市 / 上櫃即時報價與中文名稱（不需要 API key）
+// 只提供報價，不提供歷史 K 線；台股歷史資料由 Yahoo Finance 提供
+
+import { fetchWithTimeout, providerError } from './registry.js';
+import { getTwExchange, toTwCode } from '../markets.js';
+
+function toChannel(symbol) {
+  const prefix = getTwExchange(symbol) === 'TPEx' ? 'otc' : 'tse';
+  return `${prefix}_${toTwCode(symbol)}.tw`;
+}
+
+function parsePrice(value) {
+  const price = parseFloat(value);
+  return Number.isFinite(price) && price > 0 ? price : null;
+}
+
+const twseProvider = {
+  name: 'twse',
+  label: 'TWSE MIS',
+  timeframes: [],
+  markets: ['TW'],
+  // 證交所對短時間大量請求會暫時封鎖 IP，保守限流
+  rateLimit: { capacity: 3, refillPerMinute: 20 },
+  circuitBreaker: { failureThreshold: 3, cooldownMs: 120000 },
+
+  isConfigured() {
+    return true;
+  },
+
+  // 一次查詢多檔，回傳 symbol -> quote 的 Map
+  async fetchQuotes(symbols) {
+    const channels = symbols.map(toChannel).join('|');
+    const response = await fetchWithTimeout(
+      `https://mis.twse.com.tw/stock/api/getStockInfo.jsp?ex_ch=${encodeURIComponent(channels)}&json=1&delay=0&_=${Date.now()}`,
+      { headers: { 'Accept': 'application/json', 'User-Agent': 'Mozilla/5.0' } }
+    );
+
+    if (!response.ok) {
+      throw providerError(`TWSE MIS HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const json = await response.json();
+    if (json.rtcode !== '0000' || !Array.isArray(json.msgArray)) {
+      throw providerError(`TWSE MIS error: ${json.rtmessage || json.rtcode}`);
+    }
+
+    const quotes = new Map();
+    json.msgArray.forEach(item => {
+      const symbol = symbols.find(s => toTwCode(s) === item.c);
+      const previousClose = parsePrice(item.y);
+      // 盤中尚未成交時 z 為 '-'，改用最佳買價，再退回昨收
+      const price = parsePrice(item.z) || parsePrice(item.b?.split('_')[0]) || previousClose;
+      if (!symbol || !price) return;
+
+      const change = previousClose ? price - previousClose : 0;
+      quotes.set(symbol, {
+        name: item.n || symbol,
+        price,
+        change,
+        changePercent: previousClose ? (change / previousClose) * 100 : 0,
+        high: parsePrice(item.h) || price,
+        low: parsePrice(item.l) || price,
+        timestamp: item.tlong ? new Date(Number(item.tlong)).toISOString() : null
+      });
+    });
+
+    if (quotes.size === 0) {
+      throw providerError(`No TWSE quote for ${symbols.join(',')}`, { noData: true });
+    }
+    return quotes;
+  }
+};
+
+export default twseProvider;
@@ -0,0 +1,182 @@
+// Yahoo Finance chart API - 備用數據源（不需要 API key）
+
+import { fetchWithTimeout, providerError, toCandleDate, getRangeStartSeconds } from './registry.js';
+
+const YAHOO_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+  'Accept': 'application/json',
+  'Accept-Language': 'en-US,en;q=0.9',
+  'Referer': 'https://finance.yahoo.com/',
+  'Origin': 'https://finance.yahoo.com'
+};
+
+// 呼叫 Yahoo API 並處理限流與 HTTP 錯誤，回傳解析後的 JSON
+async function requestJson(apiUrl) {
+  console.log(`[${new Date().toISOString()}] Fetching from Yahoo Finance: ${apiUrl}`);
+
+  const response = await fetchWithTimeout(apiUrl, { headers: YAHOO_HEADERS });
+
+  if (response.status === 429) {
+    throw providerError('Yahoo Finance API HTTP 429: rate limited', { rateLimited: true, retryAfterMs: 300000 });
+  }
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error(`[${new Date().toISOString()}] Yahoo Finance HTTP error ${response.status}:`, errorText.substring(0, 200));
+    throw providerError(`Yahoo Finance API HTTP ${response.status}: ${response.statusText}`, { noData: response.status === 404 });
+  }
+
+  return response.json();
+}
+
+// 呼叫 chart API 並回傳 chart.result[0]
+async function requestChart(apiUrl) {
+  const data = await requestJson(apiUrl);
+
+  if (data.chart?.error) {
+    throw providerError(`Yahoo Finance API error: ${data.chart.error.description}`, { noData: true });
+  }
+  const result = data.chart?.result?.[0];
+  if (!result) {
+    throw providerError('Invalid response structure from Yahoo Finance API');
+  }
+  return result;
+}
+
+// 盤前 / 盤後報價：取 1 分線（含盤前盤後）的最後一筆，落在正規時段外才回傳
+// 盤前相對前一日收盤計算漲跌，盤後相對當日收盤
+function parseExtendedQuote(result) {
+  const { meta, timestamp: timestamps } = result;
+  const closes = result.indicators?.quote?.[0]?.close;
+  const regular = meta?.currentTradingPeriod?.regular;
+  if (!timestamps || !closes || !regular) return null;
+
+  let i = timestamps.length - 1;
+  while (i >= 0 && (closes[i] === null || closes[i] === undefined)) i--;
+  if (i < 0) return null;
+
+  const time = timestamps[i];
+  const session = time < regular.start ? 'pre' : time >= regular.end ? 'post' : null;
+  if (!session) return null;
+
+  const basePrice = session === 'pre' ? (meta.previousClose ?? meta.chartPreviousClose) : meta.regularMarketPrice;
+  if (!basePrice) return null;
+  const price = closes[i];
+  return {
+    session,
+    price,
+    change: price - basePrice,
+    changePercent: ((price - basePrice) / basePrice) * 100,
+    basePrice,
+    timestamp: new Date(time * 1000).toISOString()
+  };
+}
+
+const yahooProvider = {
+  name: 'yahoo',
+  label: 'Yahoo Finance',
+  timeframes: ['5M', 'D'],
+  markets: ['US', 'TW'],
+  // 非官方 API 沒有公開限制，保守設定避免被封鎖
+  rateLimit: { capacity: 30, refillPerMinute: 60 },
+  circuitBreaker: { failureThreshold: 3, cooldownMs: 120000 },
+  // fetchExtendedQuotes 使用的 spark API 一次最多查詢 20 檔
+  extendedQuoteBatchSize: 20,
+
+  isConfigured() {
+    return true;
+  },
+
+  async fetchHistory(symbol, timeframe, { range } = {}) {
+    // 🔧 設定明確的時間範圍 - 確保取得最新資料
+    const now = Math.floor(Date.now() / 1000);
+    const apiUrl = timeframe === '5M'
+      // 5分線：最近5天
+      ? `https://query1.finance.yahoo.com/v8/finance/chart/${symbol}?period1=${now - (5 * 24 * 60 * 60)}&period2=${now}&interval=5m&includePrePost=true&includeAdjustedClose=true`
+      // 日線：依 range 決定起始時間（預設 3 個月，確保有足夠數據計算完整的MACD）
+      : `https://query1.finance.yahoo.com/v8/finance/chart/${symbol}?period1=${getRangeStartSeconds(range)}&period2=${now}&interval=1d&includePrePost=true&includeAdjustedClose=true`;
+
+    const result = await requestChart(apiUrl);
+
+    const timestamps = result.timestamp;
+    const quotes = result.indicators?.quote?.[0];
+    const adjClose = result.indicators?.adjclose?.[0]?.adjclose;
+
+    if (!timestamps || !quotes || timestamps.length === 0) {
+      throw providerError('No historical data found', { noData: true });
+    }
+
+    const candles = [];
+    for (let i = 0; i < timestamps.length; i++) {
+      const close = adjClose?.[i] || quotes.close?.[i]; // 使用調整後收盤價
+
+      // 跳過無效資料
+      if (close === null || close === undefined || isNaN(close)) {
+        continue;
+      }
+
+      candles.push({
+        date: toCandleDate(timestamps[i] * 1000, timeframe),
+        open: quotes.open?.[i] || close,
+        high: quotes.high?.[i] || close,
+        low: quotes.low?.[i] || close,
+        close,
+        volume: quotes.volume?.[i] || 0
+      });
+    }
+
+    // 按日期排序 (最新在後)
+    if (timeframe !== '5M') {
+      candles.sort((a, b) => new Date(a.date) - new Date(b.date));
+    }
+
+    return {
+      candles,
+      meta: { name: result.meta?.longName || result.meta?.shortName || symbol }
+    };
+  },
+
+  // 代號 / 公司名稱搜尋，回傳 Yahoo 格式的代號與交易所代碼
+  async searchSymbols(query) {
+    const apiUrl = `https://query2.finance.yahoo.com/v1/finance/search?q=${encodeURIComponent(query)}&quotesCount=10&newsCount=0&listsCount=0`;
+    console.log(`[${new Date().toISOString()}] Searching Yahoo Finance: ${query}`);
+
+    const response = await fetchWithTimeout(apiUrl, { headers: YAHOO_HEADERS });
+    if (response.status === 429) {
+      throw providerError('Yahoo Finance API HTTP 429: rate limited', { rateLimited: true, retryAfterMs: 300000 });
+    }
+    if (!response.ok) {
+      throw providerError(`Yahoo Finance search HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return (data.quotes || [])
+      .filter(quote => quote.symbol && ['EQUITY', 'ETF'].includes(quote.quoteType))
+      .map(quote => ({
+        symbol: quote.symbol,
+        name: quote.longname || quote.shortname || quote.symbol,
+        exchangeCode: quote.exchange,
+        exchange: quote.exchDisp || quote.exchange,
+        type: quote.typeDisp || quote.quoteType
+      }));
+  },
+
+  // 多檔的盤前 / 盤後報價，一次請求最多 extendedQuoteBatchSize 檔；spark 每一檔的回應與 chart API 的 result 格式相同
+  // 回傳 Map<symbol, quote | null>，沒有盤外成交的股票為 null
+  async fetchExtendedQuotes(symbols) {
+    const data = await requestJson(
+      `https://query1.finance.yahoo.com/v7/finance/spark?symbols=${symbols.map(encodeURIComponent).join(',')}&range=1d&interval=1m&includePrePost=true`
+    );
+    if (!Array.isArray(data.spark?.result)) {
+      throw providerError('Invalid spark response structure from Yahoo Finance API');
+    }
+
+    const quotes = new Map();
+    data.spark.result.forEach(item => {
+      const result = item.response?.[0];
+      if (item.symbol && result) quotes.set(item.symbol, parseExtendedQuote(result));
+    });
+    return quotes;
+  }
+};
+
+export default yahooProvider;
@@ -0,0 +1,62 @@
+// 掃描訊號紀錄：每日觸發的買賣規則與觸發後 1 / 5 / 20 個交易日的實際報酬
+// 檔案路徑: /api/_lib/signal-history.js
+// 由 get-stock-data.js 的 record_signals 使用；訊號規則與前端掃描相同（strategies.js 的 getSignals）
+//
+// 紀錄存於 Firestore users/{userId}/signalHistory/{date}_{symbol}_{side}_{ruleId}，date 為觸發當天 K 線的日期：
+// { symbol, date, side, ruleId, label, price, strategyId, strategyName, returns: { d1, d5, d20 }, complete, recordedAt }
+// returns 為相對觸發收盤價的漲跌幅（%），尚未經過足夠交易日時為 null；三個報酬都有值後 complete 為 true
+
+import { getCandleSnapshot } from './strategies.js';
+
+export const SIGNAL_OUTCOME_DAYS = [1, 5, 20];
+export const SIGNAL_HISTORY_MAX_SYMBOLS = 50;
+// Vercel 有 10 秒超時限制：超過時間預算就不再處理下一位用戶，回傳 remaining 由 n8n 再次呼叫
+export const SIGNAL_HISTORY_TIME_BUDGET_MS = 6000;
+// Firestore 單一 batch 最多 500 筆寫入
+export const SIGNAL_HISTORY_BATCH_SIZE = 400;
+
+const round2 = (value) => (Number.isFinite(value) ? Math.round(value * 100) / 100 : null);
+
+// 同一天同一條規則重複執行時覆寫同一份文件，不會重複記錄
+export function getSignalRecordId(record) {
+  return `${record.date}_${record.symbol}_${record.side}_${record.ruleId}`;
+}
+
+// signals 為 getSignals 的結果；每條觸發的規則一筆紀錄，觸發價為當天收盤
+export function buildSignalRecords(symbol, candles, signals, strategy) {
+  if (!Array.isArray(candles) || candles.length === 0) return [];
+  const snapshot = getCandleSnapshot(candles);
+  const recordedAt = new Date().toISOString();
+  return ['buy', 'sell'].flatMap(side => signals[side].ruleIds.map((ruleId, index) => ({
+    symbol,
+    date: snapshot.date,
+    side,
+    ruleId,
+    label: signals[side].reasons[index],
+    price: round2(snapshot.price),
+    strategyId: strategy.id,
+    strategyName: strategy.name,
+    returns: Object.fromEntries(SIGNAL_OUTCOME_DAYS.map(days => [`d${days}`, null])),
+    complete: false,
+    recordedAt
+  })));
+}
+
+// 以觸發日之後第 N 根 K 線的收盤計算報酬；回傳 null 代表沒有新的結果需要寫回
+// 觸發日已經早於歷史資料的第一根 K 線時（定時任務中斷太久）無法再補算，直接標記為完成
+export function computeSignalReturns(record, candles) {
+  if (!Array.isArray(candles) || candles.length === 0 || !record.price) return null;
+  const dates = candles.map(candle => String(candle.date).slice(0, 10));
+  const index = dates.indexOf(record.date);
+  if (index === -1) {
+    return record.date < dates[0] ? { returns: record.returns, complete: true } : null;
+  }
+
+  const returns = Object.fromEntries(SIGNAL_OUTCOME_DAYS.map(days => {
+    const candle = candles[index + days];
+    return [`d${days}`, candle ? round2(((candle.close - record.price) / record.price) * 100) : null];
+  }));
+  const complete = Object.values(returns).every(value => value !== null);
+  const changed = Object.keys(returns).some(key => returns[key] !== (record.returns?.[key] ?? null));
+  return changed || complete ? { returns, complete } : null;
+}
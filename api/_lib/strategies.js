@@ -0,0 +1,49 @@
+// 掃描策略的伺服器版本：預設策略與條件判斷來自 /shared/strategy-rules.js，與前端的 getSignals 共用
+// 指標使用 indicators.js 的 strategyIndicatorSeries，前端的 calculateIndicators 讀取報價回應中同一份計算結果
+// 檔案路徑: /api/_lib/strategies.js
+// 由定時任務使用（每日簡報、訊號紀錄），用戶的自訂策略讀取自 Firestore 用戶文件的 strategies / activeStrategyId
+// 策略與條件的格式見 /shared/strategy-rules.js
+
+import { strategyIndicatorSeries, strategyIndicatorsAt } from './indicators.js';
+import { DEFAULT_STRATEGY, getTriggeredRules } from '../../shared/strategy-rules.js';
+
+// 用戶目前選用的策略，找不到時使用預設策略
+export function getUserStrategy(userData) {
+  const strategies = Array.isArray(userData?.strategies) ? userData.strategies : [];
+  return strategies.find(strategy => strategy?.id === userData?.activeStrategyId && Array.isArray(strategy.rules)) || DEFAULT_STRATEGY;
+}
+
+// 以日線最後一根 K 線作為當下的報價（漲跌相對前一根收盤）
+export function getCandleSnapshot(candles) {
+  const latest = candles[candles.length - 1];
+  const previous = candles[candles.length - 2];
+  const change = previous ? latest.close - previous.close : 0;
+  return {
+    date: String(latest.date).slice(0, 10),
+    price: latest.close,
+    change,
+    changePercent: previous && previous.close ? (change / previous.close) * 100 : 0,
+    volume: latest.volume,
+    high: latest.high,
+    low: latest.low
+  };
+}
+
+// 回傳 { buy: { reasons, ruleIds, score }, sell: { ... } }，K 線少於 10 根時不產生訊號（前端同樣以預設值處理）
+export function getSignals(candles, strategy = DEFAULT_STRATEGY) {
+  const signals = {
+    buy: { reasons: [], ruleIds: [], score: 0 },
+    sell: { reasons: [], ruleIds: [], score: 0 }
+  };
+  if (!Array.isArray(candles) || candles.length < 10) return signals;
+
+  const stock = { ...getCandleSnapshot(candles), history: candles };
+  const indicators = strategyIndicatorsAt(strategyIndicatorSeries(candles), candles.length - 1);
+  getTriggeredRules(strategy, stock, indicators).forEach(item => {
+    const side = signals[item.side];
+    side.reasons.push(item.label);
+    side.ruleIds.push(item.id);
+    side.score += Number(item.weight) || 0;
+  });
+  return signals;
+}
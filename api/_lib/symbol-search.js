@@ -0,0 +1,89 @@
+// 股票代號搜尋：合併常用中文名稱對照與資料來源的搜尋結果
+// 檔案路徑: /api/_lib/symbol-search.js
+// 由 get-stock-data.js 的 search_symbols 使用，結果一律轉成本專案的代號格式（AAPL.US / 2330.TW / 6488.TWO）
+
+// 資料來源的英文搜尋查不到中文名稱，常用的股票在這裡補上中文別名
+const SYMBOL_ALIASES = [
+  { symbol: 'AAPL.US', name: 'Apple Inc.', exchange: 'NASDAQ', aliases: ['蘋果'] },
+  { symbol: 'MSFT.US', name: 'Microsoft Corporation', exchange: 'NASDAQ', aliases: ['微軟'] },
+  { symbol: 'NVDA.US', name: 'NVIDIA Corporation', exchange: 'NASDAQ', aliases: ['輝達', '英偉達'] },
+  { symbol: 'GOOGL.US', name: 'Alphabet Inc.', exchange: 'NASDAQ', aliases: ['谷歌', 'google'] },
+  { symbol: 'AMZN.US', name: 'Amazon.com, Inc.', exchange: 'NASDAQ', aliases: ['亞馬遜'] },
+  { symbol: 'META.US', name: 'Meta Platforms, Inc.', exchange: 'NASDAQ', aliases: ['臉書', 'facebook'] },
+  { symbol: 'TSLA.US', name: 'Tesla, Inc.', exchange: 'NASDAQ', aliases: ['特斯拉'] },
+  { symbol: 'AMD.US', name: 'Advanced Micro Devices, Inc.', exchange: 'NASDAQ', aliases: ['超微'] },
+  { symbol: 'INTC.US', name: 'Intel Corporation', exchange: 'NASDAQ', aliases: ['英特爾'] },
+  { symbol: 'AVGO.US', name: 'Broadcom Inc.', exchange: 'NASDAQ', aliases: ['博通'] },
+  { symbol: 'QCOM.US', name: 'QUALCOMM Incorporated', exchange: 'NASDAQ', aliases: ['高通'] },
+  { symbol: 'NFLX.US', name: 'Netflix, Inc.', exchange: 'NASDAQ', aliases: ['網飛'] },
+  { symbol: 'TSM.US', name: 'Taiwan Semiconductor Manufacturing Company Limited', exchange: 'NYSE', type: 'ADR', aliases: ['台積電ADR', '台積電 ADR'] },
+  { symbol: 'BRK-B.US', name: 'Berkshire Hathaway Inc.', exchange: 'NYSE', aliases: ['波克夏'] },
+  { symbol: 'KO.US', name: 'The Coca-Cola Company', exchange: 'NYSE', aliases: ['可口可樂'] },
+  { symbol: 'DIS.US', name: 'The Walt Disney Company', exchange: 'NYSE', aliases: ['迪士尼'] },
+  { symbol: 'SPY.US', name: 'SPDR S&P 500 ETF Trust', exchange: 'NYSE Arca', type: 'ETF', aliases: ['標普500', '標普 500'] },
+  { symbol: 'QQQ.US', name: 'Invesco QQQ Trust', exchange: 'NASDAQ', type: 'ETF', aliases: ['那斯達克100', '那斯達克 100'] },
+  { symbol: '2330.TW', name: '台積電', exchange: 'TWSE', aliases: ['台積', '台灣積體電路'] },
+  { symbol: '2317.TW', name: '鴻海', exchange: 'TWSE', aliases: ['鴻海精密', '富士康'] },
+  { symbol: '2454.TW', name: '聯發科', exchange: 'TWSE', aliases: [] },
+  { symbol: '2308.TW', name: '台達電', exchange: 'TWSE', aliases: [] },
+  { symbol: '2303.TW', name: '聯電', exchange: 'TWSE', aliases: ['聯華電子'] },
+  { symbol: '2412.TW', name: '中華電', exchange: 'TWSE', aliases: ['中華電信'] },
+  { symbol: '2882.TW', name: '國泰金', exchange: 'TWSE', aliases: [] },
+  { symbol: '2881.TW', name: '富邦金', exchange: 'TWSE', aliases: [] },
+  { symbol: '2891.TW', name: '中信金', exchange: 'TWSE', aliases: [] },
+  { symbol: '2603.TW', name: '長榮', exchange: 'TWSE', aliases: ['長榮海運'] },
+  { symbol: '3711.TW', name: '日月光投控', exchange: 'TWSE', aliases: ['日月光'] },
+  { symbol: '0050.TW', name: '元大台灣50', exchange: 'TWSE', type: 'ETF', aliases: ['台灣50'] },
+  { symbol: '0056.TW', name: '元大高股息', exchange: 'TWSE', type: 'ETF', aliases: ['高股息'] },
+  { symbol: '00878.TW', name: '國泰永續高股息', exchange: 'TWSE', type: 'ETF', aliases: [] },
+  { symbol: '6488.TWO', name: '環球晶', exchange: 'TPEx', aliases: [] },
+  { symbol: '5347.TWO', name: '世界', exchange: 'TPEx', aliases: ['世界先進'] }
+];
+
+export const SEARCH_RESULT_LIMIT = 10;
+
+// Yahoo Finance 的美股交易所代碼，其他市場（港股、日股等）不支援
+const US_EXCHANGES = new Set(['NMS', 'NGM', 'NCM', 'NYQ', 'ASE', 'PCX', 'BTS', 'NAS', 'NYS', 'PNK', 'CBOE']);
+
+// 搜尋用的字串正規化：忽略大小寫與全形空白
+export function normalizeQuery(query) {
+  return String(query || '').trim().replace(/　/g, ' ').toLowerCase();
+}
+
+export function searchAliases(query) {
+  const q = normalizeQuery(query);
+  if (!q) return [];
+  return SYMBOL_ALIASES
+    .filter(entry => (
+      entry.symbol.toLowerCase().replace(/\.(us|two?)$/, '').startsWith(q) ||
+      [entry.name, ...entry.aliases].some(name => name.toLowerCase().includes(q))
+    ))
+    .map(entry => ({
+      symbol: entry.symbol,
+      name: entry.name,
+      exchange: entry.exchange,
+      type: entry.type || 'Equity',
+      market: entry.symbol.endsWith('.US') ? 'US' : 'TW'
+    }));
+}
+
+// 資料來源的代號（美股沒有後綴、台股 .TW / .TWO）轉成本專案格式，不支援的市場回傳 null
+export function toAppSymbol(providerSymbol, exchange) {
+  const symbol = String(providerSymbol || '').toUpperCase();
+  if (/^[0-9A-Z]+\.TWO?$/.test(symbol)) return symbol;
+  if (symbol.includes('.') || symbol.includes('=') || symbol.startsWith('^')) return null;
+  if (exchange && !US_EXCHANGES.has(exchange)) return null;
+  return `${symbol}.US`;
+}
+
+// 合併多個來源的結果，依代號去除重複，保留先出現的（中文別名優先）
+export function mergeSearchResults(lists, limit = SEARCH_RESULT_LIMIT) {
+  const seen = new Set();
+  const merged = [];
+  lists.flat().forEach(result => {
+    if (!result?.symbol || seen.has(result.symbol)) return;
+    seen.add(result.symbol);
+    merged.push(result);
+  });
+  return merged.slice(0, limit);
+}
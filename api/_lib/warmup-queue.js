@@ -0,0 +1,97 @@
+// 快取預熱佇列的狀態管理
+// 檔案路徑: /api/_lib/warmup-queue.js
+// 由 get-stock-data.js 的 warmup_enqueue / warmup_cache / warmup_status 使用
+// 工作存於 KV（每天一個），每次呼叫處理佇列開頭的幾檔並寫回進度，逾時中斷也能從上次的位置繼續
+
+// 單一股票最多嘗試次數，失敗時移到佇列尾端重試，用完後記為失敗
+export const WARMUP_MAX_ATTEMPTS = 3;
+
+export function getWarmupJobKey(date) {
+  return `warmup_job_${date}`;
+}
+
+// warmup_enqueue 與 warmup_cache 讀寫工作前都要先取得這個鎖
+export function getWarmupLockKey(date) {
+  return `warmup_lock_${date}`;
+}
+
+export function createWarmupJob(symbols, date, now = new Date()) {
+  const queue = [...new Set(symbols.map(s => s.trim()).filter(Boolean))];
+  return {
+    date,
+    status: queue.length > 0 ? 'running' : 'completed',
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    completedAt: queue.length > 0 ? null : now.toISOString(),
+    total: queue.length,
+    queue,
+    succeeded: [],
+    failed: [],
+    attempts: {}
+  };
+}
+
+// 把尚未在工作中的股票加到佇列尾端（同一天新增的自選股）
+export function addSymbolsToJob(job, symbols, now = new Date()) {
+  const known = new Set([...job.queue, ...job.succeeded, ...job.failed.map(f => f.symbol)]);
+  const added = [...new Set(symbols.map(s => s.trim()).filter(s => s && !known.has(s)))];
+  if (added.length === 0) return job;
+  return {
+    ...job,
+    status: 'running',
+    completedAt: null,
+    updatedAt: now.toISOString(),
+    total: job.total + added.length,
+    queue: [...job.queue, ...added]
+  };
+}
+
+function finish(job, now) {
+  const done = job.queue.length === 0;
+  return {
+    ...job,
+    status: done ? 'completed' : 'running',
+    completedAt: done ? now.toISOString() : null,
+    updatedAt: now.toISOString()
+  };
+}
+
+export function recordWarmupSuccess(job, symbol, now = new Date()) {
+  return finish({
+    ...job,
+    queue: job.queue.filter(s => s !== symbol),
+    succeeded: [...job.succeeded, symbol]
+  }, now);
+}
+
+export function recordWarmupFailure(job, symbol, error, now = new Date()) {
+  const attempts = (job.attempts[symbol] || 0) + 1;
+  const queue = job.queue.filter(s => s !== symbol);
+  const exhausted = attempts >= WARMUP_MAX_ATTEMPTS;
+  return finish({
+    ...job,
+    queue: exhausted ? queue : [...queue, symbol],
+    failed: exhausted ? [...job.failed, { symbol, attempts, error }] : job.failed,
+    attempts: { ...job.attempts, [symbol]: attempts }
+  }, now);
+}
+
+// warmup_status 與 warmup_cache 回應使用的進度摘要
+export function getWarmupProgress(job) {
+  const finished = job.succeeded.length + job.failed.length;
+  return {
+    date: job.date,
+    status: job.status,
+    total: job.total,
+    succeeded: job.succeeded.length,
+    failed: job.failed.length,
+    remaining: job.queue.length,
+    retrying: job.queue.filter(symbol => job.attempts[symbol] > 0).length,
+    percent: job.total > 0 ? Math.round((finished / job.total) * 100) : 100,
+    nextSymbols: job.queue.slice(0, 5),
+    failures: job.failed,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    completedAt: job.completedAt
+  };
+}
@@ -0,0 +1,32 @@
+// 彙總所有用戶的自選清單
+// 檔案路徑: /api/_lib/watchlists.js
+// 由 get-all-watchlists.js 與 get-stock-data.js 的預熱佇列共用
+
+// 新格式為多個命名清單 watchlists: [{ id, name, symbols }]，舊用戶可能仍只有單一 watchlist 陣列
+export function parseUserWatchlists(data) {
+  if (Array.isArray(data?.watchlists)) {
+    return data.watchlists.filter(list => Array.isArray(list?.symbols));
+  }
+  return Array.isArray(data?.watchlist) ? [{ id: 'default', name: '我的自選', symbols: data.watchlist }] : [];
+}
+
+// 回傳 { users: [{ userId, watchlist, watchlists }], allSymbols }
+export async function getAllUserWatchlists(db) {
+  const usersSnapshot = await db.collection('users').get();
+
+  const users = [];
+  usersSnapshot.forEach(doc => {
+    const lists = parseUserWatchlists(doc.data());
+    if (lists.length > 0) {
+      users.push({
+        userId: doc.id,
+        // 所有清單的聯集，供預熱快取使用
+        watchlist: [...new Set(lists.flatMap(list => list.symbols))],
+        watchlists: lists.map(list => ({ id: list.id, name: list.name, symbols: list.symbols }))
+      });
+    }
+  });
+
+  const allSymbols = [...new Set(users.flatMap(user => user.watchlist))].sort();
+  return { users, allSymbols };
+}
@@ -1,18 +1,5 @@
-import admin from 'firebase-admin';
-
-const serviceAccount = {
-  projectId: process.env.WATCHLIST_FIREBASE_PROJECT_ID,
-  clientEmail: process.env.WATCHLIST_FIREBASE_CLIENT_EMAIL,
-  privateKey: process.env.WATCHLIST_FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
-};
-
-if (!admin.apps.length) {
-  admin.initializeApp({
-    credential: admin.credential.cert(serviceAccount),
-  });
-}
-
-const db = admin.firestore();
+import { getFirestore } from './_lib/firebase-admin.js';
+import { getAllUserWatchlists } from './_lib/watchlists.js';
 
 export default async function handler(request, response) {
   if (request.method !== 'GET') {
@@ -31,22 +18,7 @@ export default async function handler(request, response) {
 
     console.log(`[${new Date().toISOString()}] Fetching all user watchlists`);
 
-    const usersSnapshot = await db.collection('users').get();
-    
-    const allWatchlists = [];
-    usersSnapshot.forEach(doc => {
-      const data = doc.data();
-      if (data.watchlist && Array.isArray(data.watchlist)) {
-        allWatchlists.push({
-          userId: doc.id,
-          watchlist: data.watchlist
-        });
-      }
-    });
-
-    const allSymbols = [...new Set(
-      allWatchlists.flatMap(item => item.watchlist)
-    )];
+    const { users: allWatchlists, allSymbols } = await getAllUserWatchlists(getFirestore());
 
     console.log(`[${new Date().toISOString()}] Found ${allWatchlists.length} users with ${allSymbols.length} unique symbols`);
 
@@ -56,7 +28,7 @@ export default async function handler(request, response) {
       totalUsers: allWatchlists.length,
       totalUniqueSymbols: allSymbols.length,
       data: allWatchlists,
-      allSymbols: allSymbols.sort()
+      allSymbols
     });
 
   } catch (error) {
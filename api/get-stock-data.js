@@ -14,6 +14,104 @@ if (process.env.upstash_KV_URL) {
 }
 
 import { kv } from '@vercel/kv';
+import webpush from 'web-push';
+import { getFirestore, verifyIdToken } from './_lib/firebase-admin.js';
+import { evaluateAlert, describeAlert } from './_lib/alerts.js';
+import { computeIndicators, summarizeIndicators, strategyIndicatorSeries, INDICATOR_NAMES, DEFAULT_SMA_PERIODS } from './_lib/indicators.js';
+import { getAllUserWatchlists, parseUserWatchlists } from './_lib/watchlists.js';
+import { getSignals, getUserStrategy } from './_lib/strategies.js';
+import {
+  BRIEFING_MAX_SYMBOLS,
+  BRIEFING_EARNINGS_DAYS,
+  BRIEFING_HEADLINES_PER_SYMBOL,
+  BRIEFING_MAX_HEADLINES,
+  BRIEFING_TIME_BUDGET_MS,
+  summarizeMove,
+  pickMovers,
+  buildBriefingPrompt
+} from './_lib/briefing.js';
+import {
+  SIGNAL_HISTORY_MAX_SYMBOLS,
+  SIGNAL_HISTORY_TIME_BUDGET_MS,
+  SIGNAL_HISTORY_BATCH_SIZE,
+  getSignalRecordId,
+  buildSignalRecords,
+  computeSignalReturns
+} from './_lib/signal-history.js';
+import { searchAliases, toAppSymbol, mergeSearchResults, normalizeQuery } from './_lib/symbol-search.js';
+import { fetchUsFundamentals, fetchTwFundamentals, getFiftyTwoWeekRange } from './_lib/fundamentals.js';
+import {
+  NEWS_DEFAULT_DAYS,
+  NEWS_MAX_DAYS,
+  NEWS_PAGE_SIZE,
+  NEWS_MAX_PAGE_SIZE,
+  NEWS_DIGEST_DEFAULT_DAYS,
+  NEWS_DIGEST_MAX_SYMBOLS,
+  getArticleId,
+  mergeNewsLists,
+  paginate,
+  buildNewsAnalysisPrompt,
+  parseNewsAnalysis,
+  aggregateSentiment
+} from './_lib/news.js';
+import {
+  CALENDAR_MAX_DAYS,
+  CALENDAR_MAX_SYMBOLS,
+  CALENDAR_LOOKBACK_DAYS,
+  shiftIsoDate,
+  fetchEarnings,
+  fetchTwDividendNotices,
+  toDividendEvents,
+  matchTwDividends,
+  sortEvents
+} from './_lib/corporate-events.js';
+import {
+  WARMUP_MAX_ATTEMPTS,
+  getWarmupJobKey,
+  getWarmupLockKey,
+  createWarmupJob,
+  addSymbolsToJob,
+  recordWarmupSuccess,
+  recordWarmupFailure,
+  getWarmupProgress
+} from './_lib/warmup-queue.js';
+import { getSymbolMarket, getMarketClock, getRecentSessionDates, isMarketDay, countTradingDays, toProviderSymbol, toTwCode } from './_lib/markets.js';
+import {
+  fetchHistoryWithFallback,
+  runWithProvider,
+  getProvider,
+  getProviderStatus,
+  polygonProvider,
+  twseProvider,
+  HISTORY_RANGES,
+  DEFAULT_RANGE
+} from './_lib/providers/index.js';
+import { aggregateCandles } from './_lib/candles.js';
+import {
+  ANALYSIS_HEADLINE_COUNT,
+  normalizeSignals,
+  getAnalysisCacheKey,
+  getMacdState,
+  getWeeklyTrend,
+  getRecentRange,
+  buildAnalysisPrompt,
+  formatSseEvent
+} from './_lib/ai-analysis.js';
+import { generateText, streamText, isTaskConfigured, getLlmStatus } from './_lib/llm/index.js';
+import {
+  CHAT_MAX_MESSAGE_LENGTH,
+  CHAT_HISTORY_TTL,
+  CHAT_INPUT_TOKEN_BUDGET,
+  CHAT_MAX_OUTPUT_TOKENS,
+  CHAT_RECENT_CANDLES,
+  isValidClientId,
+  getChatCacheKey,
+  estimateTokens,
+  selectHistoryForBudget,
+  trimStoredMessages,
+  toChatMessages,
+  buildChatSystemPrompt
+} from './_lib/chat.js';
 
 // 檢查 KV 是否可用 - 支持新舊環境變數名稱
 const KV_REST_API_URL = process.env.upstash_KV_REST_API_URL || process.env.KV_REST_API_URL;
@@ -45,351 +143,83 @@ async function safeKvSet(key, value, options) {
   }
 }
 
-// 全局變數來追蹤正在進行的請求
-const pendingRequests = new Map();
-
-// 追蹤 API key 狀態
-const apiKeyStatus = {
-  polygon: { working: true, lastError: null, lastUsed: null },
-  yfinance: { working: true, lastError: null, lastUsed: null },
-  twelveData: {
-    primary: { working: true, lastError: null, lastUsed: null },
-    backup: { working: true, lastError: null, lastUsed: null }
+// 以 NX 寫入實作的簡單鎖，KV 失敗時視為取得鎖（寧可重複處理也不要卡住）
+async function acquireKvLock(key, ttlSeconds) {
+  if (!KV_ENABLED) return true;
+  try {
+    return (await kv.set(key, Date.now(), { nx: true, ex: ttlSeconds })) !== null;
+  } catch (error) {
+    console.error(`KV lock error for key ${key}:`, error.message);
+    return true;
   }
-};
+}
 
-// Polygon.io 數據獲取函數 - 主要數據源（速度快）
-async function getPolygonData(cleanSymbol, timeframe, apiKey) {
+async function releaseKvLock(key) {
+  if (!KV_ENABLED) return;
   try {
-    console.log(`[${new Date().toISOString()}] Using Polygon.io API for ${cleanSymbol}, timeframe=${timeframe}`);
-    
-    let apiUrl;
-    if (timeframe === '5M') {
-      // 5分線：使用 intraday aggregates
-      const today = new Date();
-      const fiveDaysAgo = new Date(today.getTime() - (5 * 24 * 60 * 60 * 1000));
-      const fromDate = fiveDaysAgo.toISOString().split('T')[0];
-      const toDate = today.toISOString().split('T')[0];
-      apiUrl = `https://api.polygon.io/v2/aggs/ticker/${cleanSymbol}/range/5/minute/${fromDate}/${toDate}?adjusted=true&sort=asc&apiKey=${apiKey}`;
-    } else {
-      // 日線：最近90天
-      const today = new Date();
-      const ninetyDaysAgo = new Date(today.getTime() - (90 * 24 * 60 * 60 * 1000));
-      const fromDate = ninetyDaysAgo.toISOString().split('T')[0];
-      const toDate = today.toISOString().split('T')[0];
-      apiUrl = `https://api.polygon.io/v2/aggs/ticker/${cleanSymbol}/range/1/day/${fromDate}/${toDate}?adjusted=true&sort=asc&apiKey=${apiKey}`;
-    }
-    
-    console.log(`[${new Date().toISOString()}] Fetching from Polygon.io: ${apiUrl.replace(/apiKey=.*/, 'apiKey=***')}`);
-    
-    let response;
-    try {
-      response = await fetch(apiUrl, {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json',
-          'User-Agent': 'Mozilla/5.0'
-        },
-        timeout: 10000
-      });
-    } catch (fetchError) {
-      console.error(`[${new Date().toISOString()}] Polygon.io fetch error:`, fetchError);
-      throw new Error(`Network error: ${fetchError.message}`);
-    }
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`[${new Date().toISOString()}] Polygon.io HTTP error ${response.status}:`, errorText);
-      throw new Error(`Polygon.io API HTTP ${response.status}: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    
-    // 檢查回應狀態
-    if (data.status !== 'OK' || !data.results || data.results.length === 0) {
-      console.error('Invalid Polygon.io response:', data);
-      throw new Error(data.status === 'ERROR' ? `Polygon.io error: ${data.error}` : 'No data available');
-    }
-    
-    // 轉換資料格式
-    const history = data.results.map(item => {
-      const date = new Date(item.t);
-      const dateString = timeframe === '5M' 
-        ? date.toISOString() 
-        : `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}-${String(date.getUTCDate()).padStart(2, '0')}`;
-      
-      return {
-        date: dateString,
-        open: item.o,
-        high: item.h,
-        low: item.l,
-        close: item.c,
-        volume: item.v || 0
-      };
-    });
-    
-    console.log(`[${new Date().toISOString()}] ✅ Polygon.io success: ${history.length} data points for ${cleanSymbol}`);
-    
-    // 更新成功狀態
-    apiKeyStatus.polygon.working = true;
-    apiKeyStatus.polygon.lastError = null;
-    apiKeyStatus.polygon.lastUsed = new Date().toISOString();
-    
-    return {
-      symbol: cleanSymbol,
-      name: cleanSymbol,
-      history: history,
-      source: 'polygon',
-      timeframe: timeframe,
-      total_points: history.length
-    };
-    
+    await kv.del(key);
   } catch (error) {
-    console.error(`[${new Date().toISOString()}] Polygon.io API failed for ${cleanSymbol}:`, error.message);
-    
-    // 更新錯誤狀態
-    apiKeyStatus.polygon.working = false;
-    apiKeyStatus.polygon.lastError = error.message;
-    apiKeyStatus.polygon.lastUsed = new Date().toISOString();
-    
-    return null;
+    console.error(`KV unlock error for key ${key}:`, error.message);
   }
 }
 
+// 全局變數來追蹤正在進行的請求
+const pendingRequests = new Map();
+
 // Polygon.io Grouped Daily API - 批量獲取所有股票當日數據
-async function getPolygonGroupedDaily(apiKey, date = null) {
+async function getPolygonGroupedDaily(date = null) {
+  // 如果沒有指定日期，使用最近一個已收盤的交易日（當天數據可能還不完整）
+  const targetDate = date || getMarketClock('US').lastClosedSessionDate;
+  if (!polygonProvider.isConfigured()) return null;
+
   try {
-    // 如果沒有指定日期，使用昨天（因為當天數據可能還不完整）
-    const targetDate = date || new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-    const apiUrl = `https://api.polygon.io/v2/aggs/grouped/locale/us/market/stocks/${targetDate}?adjusted=true&apiKey=${apiKey}`;
-    
     console.log(`[${new Date().toISOString()}] Fetching grouped daily data from Polygon.io for ${targetDate}`);
-    
-    const response = await fetch(apiUrl, {
-      method: 'GET',
-      headers: {
-        'Accept': 'application/json'
-      }
-    });
-    
-    if (!response.ok) {
-      throw new Error(`Polygon.io Grouped API HTTP ${response.status}: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    
-    if (data.status !== 'OK' || !data.results) {
-      throw new Error('No grouped data available');
-    }
-    
-    // 將結果轉換為 symbol -> data 的 Map
-    const stockMap = new Map();
-    data.results.forEach(item => {
-      stockMap.set(item.T, {
-        date: targetDate,
-        open: item.o,
-        high: item.h,
-        low: item.l,
-        close: item.c,
-        volume: item.v || 0
-      });
-    });
-    
+    const stockMap = await runWithProvider('polygon', () => polygonProvider.fetchGroupedDaily(targetDate));
     console.log(`[${new Date().toISOString()}] ✅ Polygon.io grouped daily: ${stockMap.size} stocks`);
-    
     return stockMap;
-    
   } catch (error) {
     console.error(`[${new Date().toISOString()}] Polygon.io Grouped API failed:`, error.message);
     return null;
   }
 }
 
-// yfinance 數據獲取函數 - 備用數據源
-async function getYfinanceData(cleanSymbol, timeframe) {
-  try {
-    console.log(`[${new Date().toISOString()}] Using Yahoo Finance official API for ${cleanSymbol}, timeframe=${timeframe}`);
-    
-    // 🔧 設定明確的時間範圍 - 確保取得最新資料
-    let apiUrl;
-    if (timeframe === '5M') {
-      // 5分線：最近5天
-      const now = Math.floor(Date.now() / 1000);
-      const fiveDaysAgo = now - (5 * 24 * 60 * 60);
-      apiUrl = `https://query1.finance.yahoo.com/v8/finance/chart/${cleanSymbol}?period1=${fiveDaysAgo}&period2=${now}&interval=5m&includePrePost=true&includeAdjustedClose=true`;
-    } else {
-      // 日線：最近3個月 (90天) - 確保有足夠數據計算完整的MACD  
-      const now = Math.floor(Date.now() / 1000);
-      const threeMonthsAgo = now - (90 * 24 * 60 * 60); // 90天確保有充足的MACD計算數據
-      apiUrl = `https://query1.finance.yahoo.com/v8/finance/chart/${cleanSymbol}?period1=${threeMonthsAgo}&period2=${now}&interval=1d&includePrePost=true&includeAdjustedClose=true`;
-    }
-    
-    console.log(`[${new Date().toISOString()}] Fetching from Yahoo Finance: ${apiUrl}`);
-    
-    let response;
-    try {
-      response = await fetch(apiUrl, {
-        method: 'GET',
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-          'Accept': 'application/json',
-          'Accept-Language': 'en-US,en;q=0.9',
-          'Referer': 'https://finance.yahoo.com/',
-          'Origin': 'https://finance.yahoo.com'
-        },
-        timeout: 10000
-      });
-    } catch (fetchError) {
-      console.error(`[${new Date().toISOString()}] Yahoo Finance fetch error:`, fetchError);
-      throw new Error(`Network error: ${fetchError.message}`);
-    }
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`[${new Date().toISOString()}] Yahoo Finance HTTP error ${response.status}:`, errorText.substring(0, 200));
-      throw new Error(`Yahoo Finance API HTTP ${response.status}: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    
-    // 檢查回應結構
-    if (!data.chart || !data.chart.result || !data.chart.result[0]) {
-      console.error('Invalid Yahoo Finance response:', data);
-      throw new Error('Invalid response structure from Yahoo Finance API');
-    }
-    
-    const result = data.chart.result[0];
-    
-    // 檢查是否有錯誤
-    if (data.chart.error) {
-      throw new Error(`Yahoo Finance API error: ${data.chart.error.description}`);
-    }
-    
-    const timestamps = result.timestamp;
-    const quotes = result.indicators?.quote?.[0];
-    const adjClose = result.indicators?.adjclose?.[0]?.adjclose;
-    
-    if (!timestamps || !quotes || timestamps.length === 0) {
-      console.error('No data in Yahoo Finance response');
-      throw new Error('No historical data found');
-    }
-    
-    // 轉換資料格式
-    const history = [];
-    for (let i = 0; i < timestamps.length; i++) {
-      const timestamp = timestamps[i];
-      const open = quotes.open?.[i];
-      const high = quotes.high?.[i];
-      const low = quotes.low?.[i];
-      const close = adjClose?.[i] || quotes.close?.[i]; // 使用調整後收盤價
-      const volume = quotes.volume?.[i];
-      
-      // 跳過無效資料
-      if (close === null || close === undefined || isNaN(close)) {
-        continue;
-      }
-      
-      const date = new Date(timestamp * 1000);
-      
-      // 🔧 修正日期格式 - 使用 UTC 避免時區問題
-      const dateString = timeframe === '5M' 
-        ? date.toISOString() 
-        : `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}-${String(date.getUTCDate()).padStart(2, '0')}`;
-      
-      history.push({
-        date: dateString,
-        open: open || close,
-        high: high || close,
-        low: low || close,
-        close: close,
-        volume: volume || 0
-      });
-    }
-    
-    // 按日期排序 (最新在後)
-    if (timeframe !== '5M') {
-      history.sort((a, b) => new Date(a.date) - new Date(b.date));
-    }
-    
-    console.log(`[${new Date().toISOString()}] ✅ Yahoo Finance success: ${history.length} data points for ${cleanSymbol}`);
-    
-    // 獲取股票名稱
-    const stockName = result.meta?.longName || result.meta?.shortName || cleanSymbol;
-    
-    return {
-      symbol: cleanSymbol,
-      name: stockName,
-      history: history,
-      source: 'yahoo-finance',
-      timeframe: timeframe,
-      total_points: history.length
-    };
-    
-  } catch (error) {
-    console.error(`[${new Date().toISOString()}] Yahoo Finance API failed for ${cleanSymbol}:`, error.message);
-    return null;
+// Grouped Daily 快取 - 整個市場一天只需要呼叫一次 Polygon.io
+// KV 中以 { T: [o, h, l, c, v] } 精簡格式保存，避免超過單筆大小限制
+async function getCachedGroupedDaily(date) {
+  const cacheKey = `polygon_grouped_${date}`;
+  const cached = await safeKvGet(cacheKey);
+  if (cached) {
+    return new Map(Object.entries(cached).map(([ticker, [open, high, low, close, volume]]) => (
+      [ticker, { date, open, high, low, close, volume }]
+    )));
   }
-}
 
-// Rate limit 控制
-// Twelve Data 免費版限制：8 requests/minute (每分鐘8次請求)
-// 為了安全起見，我們設置最小間隔為8秒，確保不超過限制
-const rateLimitControl = {
-  twelveData: {
-    primary: {
-      lastRequest: 0,
-      requestCount: 0,
-      resetTime: 0,
-      minInterval: 8000, // 最小間隔 8 秒 (7.5 requests/minute, 安全起見)
-      isRateLimited: false,
-      rateLimitResetTime: 0
-    },
-    backup: {
-      lastRequest: 0,
-      requestCount: 0,
-      resetTime: 0,
-      minInterval: 8000, // 最小間隔 8 秒
-      isRateLimited: false,
-      rateLimitResetTime: 0
-    }
-  }
-};
-
-// 輔助函數：檢查是否可以發起請求
-function canMakeRequest(keyType) {
-  const now = Date.now();
-  const control = rateLimitControl.twelveData[keyType];
-  
-  // 如果處於 rate limit 狀態，檢查是否已過期
-  if (control.isRateLimited && now > control.rateLimitResetTime) {
-    control.isRateLimited = false;
-    console.log(`[${new Date().toISOString()}] Rate limit expired for Twelve Data ${keyType} key`);
-  }
-  
-  // 如果仍在 rate limit 中，不能發起請求
-  if (control.isRateLimited) {
-    const remainingTime = Math.ceil((control.rateLimitResetTime - now) / 1000);
-    console.warn(`[${new Date().toISOString()}] Twelve Data ${keyType} key is rate limited for ${remainingTime} seconds`);
-    return false;
-  }
-  
-  // 檢查最小間隔
-  const timeSinceLastRequest = now - control.lastRequest;
-  if (timeSinceLastRequest < control.minInterval) {
-    const waitTime = control.minInterval - timeSinceLastRequest;
-    console.log(`[${new Date().toISOString()}] Need to wait ${waitTime}ms before next Twelve Data ${keyType} request`);
-    return false;
+  const stockMap = await getPolygonGroupedDaily(date);
+
+  if (stockMap && stockMap.size > 0) {
+    const compact = {};
+    stockMap.forEach((bar, ticker) => {
+      compact[ticker] = [bar.open, bar.high, bar.low, bar.close, bar.volume];
+    });
+    await safeKvSet(cacheKey, compact, { ex: 86400 * 3 });
+  } else if (!isMarketDay('US', date)) {
+    // 週末與休市日沒有資料，記錄空結果避免重複浪費 Polygon 請求次數
+    await safeKvSet(cacheKey, {}, { ex: 86400 * 3 });
   }
-  
-  return true;
+
+  return stockMap;
 }
 
-// 輔助函數：更新請求記錄
-function recordRequest(keyType) {
-  const now = Date.now();
-  const control = rateLimitControl.twelveData[keyType];
-  control.lastRequest = now;
-  control.requestCount++;
+// 從最近一個已收盤的交易日往回尋找有 Grouped Daily 資料的一天
+async function getLatestGroupedDaily(maxSessions = 3) {
+  const { lastClosedSessionDate } = getMarketClock('US');
+  for (const date of getRecentSessionDates('US', lastClosedSessionDate, maxSessions)) {
+    const stockMap = await getCachedGroupedDaily(date);
+    if (stockMap && stockMap.size > 0) {
+      return { date, stockMap };
+    }
+  }
+  return null;
 }
 
 export default async function handler(request, response) {
@@ -399,16 +229,54 @@ export default async function handler(request, response) {
   if (request.method === 'GET') {
     if (action === 'get_news') {
       return handleGetNews(request, response);
+    } else if (action === 'news_digest') {
+      return handleNewsDigest(request, response);
     } else if (action === 'api_status') {
       return handleApiStatus(request, response);
     } else if (action === 'warmup_cache') {
       return handleWarmupCache(request, response);
+    } else if (action === 'warmup_enqueue') {
+      return handleWarmupEnqueue(request, response);
+    } else if (action === 'warmup_status') {
+      return handleWarmupStatus(request, response);
+    } else if (action === 'evaluate_alerts') {
+      return handleEvaluateAlerts(request, response);
+    } else if (action === 'record_signals') {
+      return handleRecordSignals(request, response);
+    } else if (action === 'push_public_key') {
+      return handlePushPublicKey(request, response);
+    } else if (action === 'batch_quotes') {
+      return handleBatchQuotes(request, response);
+    } else if (action === 'indicators') {
+      return handleIndicators(request, response);
+    } else if (action === 'market_status') {
+      return handleMarketStatus(request, response);
+    } else if (action === 'search_symbols') {
+      return handleSearchSymbols(request, response);
+    } else if (action === 'fundamentals') {
+      return handleFundamentals(request, response);
+    } else if (action === 'calendar') {
+      return handleCalendar(request, response);
     }
     return handleGetStockData(request, response);
   } else if (request.method === 'POST') {
-    // POST 支持 warmup_cache 或 Gemini 分析
+    // POST 支持 warmup_cache、warmup_enqueue、evaluate_alerts、generate_briefings、record_signals、個股問答或 Gemini 分析
     if (action === 'warmup_cache') {
       return handleWarmupCache(request, response);
+    } else if (action === 'warmup_enqueue') {
+      return handleWarmupEnqueue(request, response);
+    } else if (action === 'evaluate_alerts') {
+      return handleEvaluateAlerts(request, response);
+    } else if (action === 'generate_briefings') {
+      return handleGenerateBriefings(request, response);
+    } else if (action === 'record_signals') {
+      return handleRecordSignals(request, response);
+    } else if (action === 'chat') {
+      return handleChat(request, response);
+    } else if (action === 'chat_history') {
+      return handleChatHistory(request, response);
+    } else if (action === 'chat_clear') {
+      return handleChatClear(request, response);
     }
     return handleGeminiAnalysis(request, response);
   } else {
@@ -417,148 +285,177 @@ export default async function handler(request, response) {
   }
 }
 
-// 處理緩存預熱請求 - 供 n8n 每日定時調用
-async function handleWarmupCache(request, response) {
+// 預熱工作保留兩天，隔天仍可查詢前一天的結果
+const WARMUP_JOB_TTL = 86400 * 2;
+
+function getRequestParams(request) {
+  return (request.method === 'POST' ? request.body : request.query) || {};
+}
+
+// 未指定 symbols 時使用所有用戶的自選清單
+async function resolveWarmupSymbols(params) {
+  if (params.symbols) {
+    return String(params.symbols).split(',');
+  }
+  const { allSymbols } = await getAllUserWatchlists(getFirestore());
+  return allSymbols;
+}
+
+// 建立（或合併）今天的預熱工作 - 供 n8n 每日定時調用一次
+async function handleWarmupEnqueue(request, response) {
   try {
-    // 支持 GET (query params) 和 POST (JSON body) 兩種方式
-    let symbols, secret;
-    
-    if (request.method === 'POST') {
-      symbols = request.body?.symbols;
-      secret = request.body?.secret;
-    } else {
-      symbols = request.query?.symbols;
-      secret = request.query?.secret;
+    if (!isAuthorizedCronRequest(request)) {
+      return response.status(401).json({ error: '未授權的請求' });
     }
-    
-    // 驗證密鑰
-    const expectedSecret = process.env.N8N_SECRET || 'change-me-in-production';
-    if (secret !== expectedSecret) {
-      console.error(`[${new Date().toISOString()}] Auth failed: expected="${expectedSecret}", received="${secret}"`);
+    if (!KV_ENABLED) {
+      return response.status(500).json({ error: '預熱佇列需要 Vercel KV' });
+    }
+
+    const params = getRequestParams(request);
+    const today = new Date().toISOString().split('T')[0];
+    const jobKey = getWarmupJobKey(today);
+    const reset = params.reset === true || params.reset === '1' || params.reset === 'true';
+
+    const symbols = await resolveWarmupSymbols(params);
+
+    // 與 warmup_cache 共用同一個鎖，避免合併清單時覆寫正在處理中的進度
+    const lockKey = getWarmupLockKey(today);
+    if (!(await acquireKvLock(lockKey, 60))) {
+      return response.status(409).json({ error: '另一個預熱請求正在執行，請稍後再試' });
+    }
+    let existing, job;
+    try {
+      existing = reset ? null : await safeKvGet(jobKey);
+      job = existing ? addSymbolsToJob(existing, symbols) : createWarmupJob(symbols, today);
+      await safeKvSet(jobKey, job, { ex: WARMUP_JOB_TTL });
+    } finally {
+      await releaseKvLock(lockKey);
+    }
+
+    console.log(`[${new Date().toISOString()}] 🔥 Warmup job ${today} ${existing ? 'merged' : 'created'}: ${job.total} symbols, ${job.queue.length} queued`);
+
+    return response.status(200).json({
+      success: true,
+      created: !existing,
+      job: getWarmupProgress(job)
+    });
+  } catch (error) {
+    console.error('handleWarmupEnqueue Error:', error);
+    return response.status(500).json({
+      error: '建立預熱工作時發生錯誤',
+      details: error.message
+    });
+  }
+}
+
+// 處理緩存預熱請求 - 每次處理佇列開頭的一小段，n8n 重複呼叫直到 completed 為 true
+// 今天沒有工作時會自動建立，因此舊的 warmup_cache?symbols= 呼叫方式仍然有效
+async function handleWarmupCache(request, response) {
+  try {
+    if (!isAuthorizedCronRequest(request)) {
       return response.status(401).json({ error: '未授權的請求' });
     }
-    
-    if (!symbols) {
-      return response.status(400).json({ error: '必須提供 symbols 參數' });
+    if (!KV_ENABLED) {
+      return response.status(500).json({ error: '預熱佇列需要 Vercel KV' });
     }
-    
+
     const polygonApiKey = process.env.POLYGON_API_KEY;
     const finnhubApiKey = process.env.FINNHUB_API_KEY;
     
     if (!polygonApiKey && !finnhubApiKey) {
       return response.status(500).json({ error: 'API keys 未設定' });
     }
-    
-    const symbolList = symbols.split(',').map(s => s.trim());
-    console.log(`[${new Date().toISOString()}] 🔥 Warmup cache request for ${symbolList.length} symbols`);
-    
-    const results = {
-      success: [],
-      failed: [],
-      total: symbolList.length
-    };
-    
-    // 批次處理，每批 1 個股票（避免超時和 rate limit）
-    const BATCH_SIZE = 1;
-    
-    // Vercel 有 10 秒超時限制，所以最多處理 5 個股票
-    const maxSymbols = Math.min(symbolList.length, 5);
-    console.log(`[${new Date().toISOString()}] Processing ${maxSymbols} symbols (limited by Vercel timeout)`);
-    
-    for (let i = 0; i < maxSymbols; i += BATCH_SIZE) {
-      const batch = symbolList.slice(i, i + BATCH_SIZE);
-      
-      await Promise.allSettled(
-        batch.map(async (symbol) => {
-          const maxRetries = 3;
-          
-          for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            try {
-              const cleanSymbol = symbol.replace(/\.US$/, '');
-              const today = new Date().toISOString().split('T')[0];
-              
-              console.log(`[${new Date().toISOString()}] 📊 Warmup ${symbol} (attempt ${attempt}/${maxRetries})...`);
-              
-              // 檢查並等待 rate limit
-              await waitForRateLimit();
-              
-              // 在重試前額外等待
-              if (attempt > 1) {
-                const retryWaitTime = attempt * 5000;
-                console.log(`[${new Date().toISOString()}] Waiting ${retryWaitTime}ms before retry...`);
-                await new Promise(resolve => setTimeout(resolve, retryWaitTime));
-              }
-              
-              // 獲取歷史數據（日線）
-              console.log(`[${new Date().toISOString()}] Calling fetchHistoricalData for ${cleanSymbol}...`);
-              console.log(`[${new Date().toISOString()}] API Keys available: Polygon=${!!polygonApiKey}, Finnhub=${!!finnhubApiKey}`);
-              
-              const historyResult = await fetchHistoricalData(cleanSymbol, null, finnhubApiKey, polygonApiKey);
-              
-              console.log(`[${new Date().toISOString()}] fetchHistoricalData result:`, {
-                hasResult: !!historyResult,
-                hasData: !!historyResult?.data,
-                isArray: Array.isArray(historyResult?.data),
-                dataLength: historyResult?.data?.length || 0
-              });
-              
-              if (historyResult?.data && Array.isArray(historyResult.data) && historyResult.data.length > 0) {
-                // 緩存歷史數據
-                const historyCacheKey = `global_history_${symbol}_${today}`;
-                const cacheTime = 86400 * 7; // 7天
-                
-                await safeKvSet(historyCacheKey, historyResult.data, { ex: cacheTime });
-                
-                console.log(`[${new Date().toISOString()}] ✅ Cached ${symbol}: ${historyResult.data.length} data points`);
-                results.success.push(symbol);
-                return;
-              } else {
-                throw new Error('No data returned from fetchHistoricalData');
-              }
-            } catch (error) {
-              const errorDetail = error.message || error.toString();
-              console.error(`[${new Date().toISOString()}] ❌ Attempt ${attempt}/${maxRetries} failed for ${symbol}:`, errorDetail);
-              
-              // 檢查是否是 rate limit 錯誤
-              const isRateLimitError = errorDetail.includes('Rate limit') || 
-                                       errorDetail.includes('429') || 
-                                       errorDetail.includes('rate limited');
-              
-              if (attempt === maxRetries) {
-                console.error(`[${new Date().toISOString()}] All retries exhausted for ${symbol}`);
-                results.failed.push({ symbol, error: errorDetail });
-              } else if (isRateLimitError) {
-                const extraWait = 15000;
-                console.log(`[${new Date().toISOString()}] 🔄 Rate limit error detected, waiting extra ${extraWait}ms...`);
-                await new Promise(resolve => setTimeout(resolve, extraWait));
-              }
+
+    const params = getRequestParams(request);
+    const today = new Date().toISOString().split('T')[0];
+    const jobKey = getWarmupJobKey(today);
+
+    // 同一時間只允許一個請求處理佇列，避免重複抓取同一檔股票
+    // 工作必須在取得鎖之後才讀取，否則重疊的呼叫會以舊的進度覆寫另一個請求寫回的結果
+    const lockKey = getWarmupLockKey(today);
+    if (!(await acquireKvLock(lockKey, 60))) {
+      const current = await safeKvGet(jobKey);
+      return response.status(409).json({
+        error: '另一個預熱請求正在執行，請稍後再試',
+        job: current ? getWarmupProgress(current) : null
+      });
+    }
+
+    // Vercel 有 10 秒超時限制，超過時間預算就停止處理新的股票，進度已逐檔寫回 KV
+    const startedAt = Date.now();
+    const budgetMs = Number(process.env.WARMUP_TIME_BUDGET_MS) || 7000;
+    const maxSymbols = Math.min(Number(params.chunk) || 5, 20);
+    const results = { success: [], failed: [], total: 0 };
+    let job;
+
+    try {
+      job = await safeKvGet(jobKey);
+      if (!job) {
+        job = createWarmupJob(await resolveWarmupSymbols(params), today);
+        console.log(`[${new Date().toISOString()}] 🔥 No warmup job for ${today}, created one with ${job.total} symbols`);
+      } else if (params.symbols) {
+        job = addSymbolsToJob(job, String(params.symbols).split(','));
+      }
+      await safeKvSet(jobKey, job, { ex: WARMUP_JOB_TTL });
+
+      while (job.queue.length > 0 && results.total < maxSymbols) {
+        const elapsed = Date.now() - startedAt;
+        if (elapsed > budgetMs) {
+          console.log(`[${new Date().toISOString()}] ⏱️ Warmup time budget used (${elapsed}ms), stopping this chunk`);
+          break;
+        }
+
+        const symbol = job.queue[0];
+        const marketClock = getMarketClock(getSymbolMarket(symbol));
+        const historyCacheKey = `global_history_${symbol}_${marketClock.sessionDate}`;
+        results.total++;
+
+        try {
+          // 這個交易日已經有快取（用戶請求過或上次呼叫逾時前已寫入）就不再重抓
+          if (await safeKvGet(historyCacheKey)) {
+            console.log(`[${new Date().toISOString()}] ✅ ${symbol} already cached for ${marketClock.sessionDate}`);
+          } else {
+            console.log(`[${new Date().toISOString()}] 📊 Warmup ${symbol} (attempt ${(job.attempts[symbol] || 0) + 1}/${WARMUP_MAX_ATTEMPTS})...`);
+            // 定時任務可以等待 provider 的 rate limit，但不超過剩餘的時間預算
+            const historyResult = await fetchHistoricalData(toProviderSymbol(symbol), null, {
+              maxWaitMs: Math.max(0, Math.min(5000, budgetMs - elapsed))
+            });
+            if (!Array.isArray(historyResult?.data) || historyResult.data.length === 0) {
+              throw new Error('No data returned from fetchHistoricalData');
             }
+            await safeKvSet(historyCacheKey, historyResult.data, { ex: getHistoryTtl(marketClock, historyResult.cacheTime) });
+            console.log(`[${new Date().toISOString()}] ✅ Cached ${symbol}: ${historyResult.data.length} data points from ${historyResult.source}`);
           }
-        })
-      );
-      
-      // 避免 API rate limit，批次之間等待較短時間
-      if (i + BATCH_SIZE < maxSymbols) {
-        console.log(`[${new Date().toISOString()}] Waiting 3s before next batch...`);
-        await new Promise(resolve => setTimeout(resolve, 3000));
+          job = recordWarmupSuccess(job, symbol);
+          results.success.push(symbol);
+        } catch (error) {
+          console.error(`[${new Date().toISOString()}] ❌ Warmup failed for ${symbol}:`, error.message);
+          job = recordWarmupFailure(job, symbol, error.message);
+          results.failed.push({ symbol, error: error.message });
+        }
+
+        await safeKvSet(jobKey, job, { ex: WARMUP_JOB_TTL });
       }
+    } finally {
+      await releaseKvLock(lockKey);
     }
-    
-    // 如果還有未處理的股票，提醒用戶再次調用
-    const remaining = symbolList.length - maxSymbols;
-    const message = remaining > 0 
-      ? `Processed ${results.success.length}/${maxSymbols} symbols. ${remaining} symbols remaining (call again to process more)`
-      : `All ${results.success.length} symbols processed successfully`;
-    
-    console.log(`[${new Date().toISOString()}] 🎉 Warmup completed: ${message}`);
-    
+
+    const progress = getWarmupProgress(job);
+    const message = job.status === 'completed'
+      ? `Warmup job ${today} completed: ${progress.succeeded} cached, ${progress.failed} failed`
+      : `Processed ${results.total} symbols. ${progress.remaining} symbols remaining (call again to continue)`;
+
+    console.log(`[${new Date().toISOString()}] 🎉 ${message}`);
+
     return response.status(200).json({
       success: true,
       message,
+      completed: job.status === 'completed',
       processed: results.success.length,
       failed: results.failed.length,
-      remaining: remaining,
-      results
+      remaining: progress.remaining,
+      results,
+      job: progress
     });
     
   } catch (error) {
@@ -570,301 +467,962 @@ async function handleWarmupCache(request, response) {
   }
 }
 
-// 輔助函數：等待 rate limit 解除
-async function waitForRateLimit() {
-  // 如果使用 Polygon.io，等待足夠時間
-  const now = Date.now();
-  const minInterval = 12000; // 12秒間隔確保不超過 5 requests/minute
-  
-  // 簡單的全局 rate limit 控制
-  if (!globalThis.lastPolygonRequest) {
-    globalThis.lastPolygonRequest = 0;
+// 查詢預熱工作進度（預設為今天）
+async function handleWarmupStatus(request, response) {
+  try {
+    if (!isAuthorizedCronRequest(request)) {
+      return response.status(401).json({ error: '未授權的請求' });
+    }
+
+    const date = request.query?.date || new Date().toISOString().split('T')[0];
+    const job = await safeKvGet(getWarmupJobKey(date));
+    if (!job) {
+      return response.status(404).json({ error: `${date} 沒有預熱工作`, date });
+    }
+
+    return response.status(200).json({ success: true, job: getWarmupProgress(job) });
+  } catch (error) {
+    console.error('handleWarmupStatus Error:', error);
+    return response.status(500).json({
+      error: '查詢預熱進度時發生錯誤',
+      details: error.message
+    });
+  }
+}
+
+// 驗證 n8n 定時任務的密鑰 - 支持 GET (query) 與 POST (body)
+function isAuthorizedCronRequest(request) {
+  const secret = request.method === 'POST' ? request.body?.secret : request.query?.secret;
+  const expectedSecret = process.env.N8N_SECRET || 'change-me-in-production';
+  if (secret !== expectedSecret) {
+    console.error(`[${new Date().toISOString()}] Auth failed for action=${request.query?.action || request.body?.action}`);
+    return false;
   }
-  
-  const timeSinceLastRequest = now - globalThis.lastPolygonRequest;
-  if (timeSinceLastRequest < minInterval) {
-    const waitTime = minInterval - timeSinceLastRequest;
-    console.log(`[${new Date().toISOString()}] ⏳ Waiting ${waitTime}ms for rate limit...`);
-    await new Promise(resolve => setTimeout(resolve, waitTime));
+  return true;
+}
+
+// 讀取目前交易日的歷史快取，n8n 尚未預熱時往前找前幾個交易日
+async function getLatestCachedHistory(symbol, maxSessions = 3) {
+  const { sessionDate } = getMarketClock(getSymbolMarket(symbol));
+  for (const date of getRecentSessionDates(getSymbolMarket(symbol), sessionDate, maxSessions)) {
+    const cached = await safeKvGet(`global_history_${symbol}_${date}`);
+    if (Array.isArray(cached) && cached.length > 0) {
+      return cached;
+    }
   }
-  
-  globalThis.lastPolygonRequest = Date.now();
-}
-
-// 獲取歷史數據的獨立函數 - 優先使用 Polygon.io，備用 yfinance
-async function fetchHistoricalData(cleanSymbol, timeframe, finnhubApiKey, polygonApiKey) {
-  console.log(`[${new Date().toISOString()}] Fetching historical data for ${cleanSymbol}`);
-  
-  let historyData = null;
-  let cacheTime = timeframe === '5M' ? 3600 : 86400 * 7;
-  
-  // 優先使用 Polygon.io
-  if (polygonApiKey) {
+  return null;
+}
+
+// 讀取日線歷史：優先使用快取，沒有快取時向資料來源取得並寫回目前交易日的快取
+async function loadDailyHistory(symbol) {
+  const cached = await getLatestCachedHistory(symbol);
+  if (cached) return cached;
+
+  const result = await fetchHistoricalData(toProviderSymbol(symbol), null);
+  const marketClock = getMarketClock(getSymbolMarket(symbol));
+  await safeKvSet(`global_history_${symbol}_${marketClock.sessionDate}`, result.data, {
+    ex: getHistoryTtl(marketClock, result.cacheTime)
+  });
+  return result.data;
+}
+
+// 美股盤前 / 盤後報價（Finnhub quote 只有正規時段），只在盤前與盤後時段查詢，夜間、週末與休市日不查詢
+// KV 快取讓多位用戶共用；沒有盤外成交時也快取 null，避免重複查詢；沒有快取的股票以 Yahoo spark API 合併查詢
+async function getExtendedQuotes(symbols, marketClock) {
+  const quotes = new Map();
+  if (marketClock.session !== 'pre' && marketClock.session !== 'post') return quotes;
+
+  const uncached = [];
+  await Promise.all(symbols.filter(symbol => getSymbolMarket(symbol) === 'US').map(async (symbol) => {
+    const cached = await safeKvGet(`quote_extended_${symbol}`);
+    if (cached) quotes.set(symbol, cached.quote);
+    else uncached.push(symbol);
+  }));
+
+  const yahoo = getProvider('yahoo');
+  for (let i = 0; i < uncached.length; i += yahoo.extendedQuoteBatchSize) {
+    const batch = uncached.slice(i, i + yahoo.extendedQuoteBatchSize);
     try {
-      const polygonResult = await getPolygonData(cleanSymbol, timeframe, polygonApiKey);
-      
-      if (polygonResult && polygonResult.history && Array.isArray(polygonResult.history) && polygonResult.history.length > 0) {
-        historyData = polygonResult.history;
-        console.log(`[${new Date().toISOString()}] ✅ Polygon.io success: ${historyData.length} data points for ${cleanSymbol}`);
-        return { data: historyData, cacheTime, source: 'Polygon.io' };
-      }
+      const fetched = await runWithProvider('yahoo', () => yahoo.fetchExtendedQuotes(batch.map(toProviderSymbol)));
+      await Promise.all(batch.map(async (symbol) => {
+        const quote = fetched.get(toProviderSymbol(symbol)) ?? null;
+        quotes.set(symbol, quote);
+        await safeKvSet(`quote_extended_${symbol}`, { quote }, { ex: 60 });
+      }));
     } catch (error) {
-      console.warn(`[${new Date().toISOString()}] Polygon.io failed for ${cleanSymbol}, trying fallback:`, error.message);
+      console.warn(`[${new Date().toISOString()}] ⚠️ Extended-hours quotes failed for ${batch.join(',')}:`, error.message);
     }
   }
-  
-  // 備用：使用 yfinance
+  return quotes;
+}
+
+async function getExtendedQuote(symbol, marketClock) {
+  return (await getExtendedQuotes([symbol], marketClock)).get(symbol) ?? null;
+}
+
+// Finnhub 即時報價，KV 快取 60 秒讓多位用戶共用
+async function getFinnhubQuote(cleanSymbol, finnhubApiKey) {
+  const cacheKey = `quote_finnhub_${cleanSymbol}`;
+  const cached = await safeKvGet(cacheKey);
+  if (cached) return cached;
+
   try {
-    const yfinanceResult = await getYfinanceData(cleanSymbol, timeframe);
-    
-    if (yfinanceResult && yfinanceResult.history && Array.isArray(yfinanceResult.history) && yfinanceResult.history.length > 0) {
-      historyData = yfinanceResult.history;
-      
-      // 更新 yfinance 成功狀態
-      apiKeyStatus.yfinance.working = true;
-      apiKeyStatus.yfinance.lastError = null;
-      apiKeyStatus.yfinance.lastUsed = new Date().toISOString();
-      
-      console.log(`[${new Date().toISOString()}] ✅ yfinance fallback success: ${historyData.length} data points for ${cleanSymbol}`);
-      return { data: historyData, cacheTime, source: 'Yahoo Finance' };
-    } else {
-      throw new Error('yfinance returned empty data');
-    }
+    const quoteResponse = await fetch(`https://finnhub.io/api/v1/quote?symbol=${cleanSymbol}&token=${finnhubApiKey}`);
+    if (!quoteResponse.ok) return null;
+    const quoteJson = await quoteResponse.json();
+    if (!quoteJson.c) return null;
+
+    const quote = {
+      price: quoteJson.c,
+      change: quoteJson.d,
+      changePercent: quoteJson.dp,
+      high: quoteJson.h,
+      low: quoteJson.l
+    };
+    await safeKvSet(cacheKey, quote, { ex: 60 });
+    return quote;
   } catch (error) {
-    console.error(`[${new Date().toISOString()}] ❌ All data sources failed for ${cleanSymbol}:`, error.message);
-    
-    // 更新 yfinance 錯誤狀態
-    apiKeyStatus.yfinance.working = false;
-    apiKeyStatus.yfinance.lastError = error.message;
-    apiKeyStatus.yfinance.lastUsed = new Date().toISOString();
-    
-    throw new Error(`無法獲取 ${cleanSymbol} 的歷史資料: ${error.message}`);
+    console.error(`[${new Date().toISOString()}] Finnhub quote failed for ${cleanSymbol}:`, error.message);
+    return null;
   }
+}
 
-  // 移除所有其他資料來源 (Twelve Data)
-  if (false) {
-    console.log(`[${new Date().toISOString()}] Trying Twelve Data API for ${cleanSymbol}`);
-    
-    const twelveDataKeys = [
-      { key: process.env.TWELVE_DATA_API_KEY, type: 'primary' },
-      { key: process.env.TWELVE_DATA_BACKUP_API_KEY, type: 'backup' }
-    ].filter(item => item.key);
+// 台股即時報價（證交所 MIS），KV 快取 60 秒讓多位用戶共用
+// MIS 一次可以查詢多檔：沒有快取的股票合併成一次請求，同時寫回公司名稱的快取
+async function getTwseQuotes(symbols) {
+  const quotes = new Map();
+  const uncached = [];
+  await Promise.all(symbols.map(async (symbol) => {
+    const cached = await safeKvGet(`quote_twse_${symbol}`);
+    if (cached) quotes.set(symbol, cached);
+    else uncached.push(symbol);
+  }));
+  if (uncached.length === 0) return quotes;
+
+  try {
+    const fetched = await runWithProvider('twse', () => twseProvider.fetchQuotes(uncached));
+    await Promise.all([...fetched].map(async ([symbol, quote]) => {
+      quotes.set(symbol, quote);
+      await safeKvSet(`quote_twse_${symbol}`, quote, { ex: 60 });
+      await safeKvSet(`profile_name_${symbol}`, quote.name, { ex: 86400 * 30 });
+    }));
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] TWSE quote failed for ${uncached.join(',')}:`, error.message);
+  }
+  return quotes;
+}
+
+async function getTwseQuote(symbol) {
+  return (await getTwseQuotes([symbol])).get(symbol) || null;
+}
+
+// 公司名稱幾乎不會變動，快取 30 天，避免每次都呼叫 Finnhub profile2
+// 台股使用證交所的中文簡稱
+async function getCompanyName(cleanSymbol, finnhubApiKey) {
+  const cacheKey = `profile_name_${cleanSymbol}`;
+  const cached = await safeKvGet(cacheKey);
+  if (cached) return cached;
+  if (getSymbolMarket(cleanSymbol) === 'TW') {
+    return (await getTwseQuote(cleanSymbol))?.name || null;
+  }
+  if (!finnhubApiKey) return null;
+
+  try {
+    const profileResponse = await fetch(`https://finnhub.io/api/v1/stock/profile2?symbol=${cleanSymbol}&token=${finnhubApiKey}`);
+    if (!profileResponse.ok) return null;
+    const profileJson = await profileResponse.json();
+    if (!profileJson.name) return null;
+    await safeKvSet(cacheKey, profileJson.name, { ex: 86400 * 30 });
+    return profileJson.name;
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Finnhub profile failed for ${cleanSymbol}:`, error.message);
+    return null;
+  }
+}
+
+// 回傳前端訂閱 Web Push 所需的 VAPID 公鑰
+async function handlePushPublicKey(_, response) {
+  const publicKey = process.env.VAPID_PUBLIC_KEY;
+  if (!publicKey) {
+    return response.status(500).json({ error: 'VAPID_PUBLIC_KEY 未設定' });
+  }
+  response.setHeader('Cache-Control', 's-maxage=86400');
+  return response.status(200).json({ publicKey });
+}
+
+// 發送 Web Push，回傳已失效（404/410）需要移除的訂閱 endpoint
+async function sendPushNotifications(subscriptions, payload) {
+  const expiredEndpoints = [];
+  let sent = 0;
+
+  if (!process.env.VAPID_PUBLIC_KEY || !process.env.VAPID_PRIVATE_KEY) {
+    console.warn(`[${new Date().toISOString()}] VAPID keys 未設定，略過推播`);
+    return { sent, expiredEndpoints };
+  }
+
+  webpush.setVapidDetails(
+    process.env.VAPID_SUBJECT || 'mailto:admin@kairis.app',
+    process.env.VAPID_PUBLIC_KEY,
+    process.env.VAPID_PRIVATE_KEY
+  );
+
+  await Promise.allSettled(subscriptions.map(async (subscription) => {
+    try {
+      await webpush.sendNotification(subscription, JSON.stringify(payload));
+      sent++;
+    } catch (error) {
+      if (error.statusCode === 404 || error.statusCode === 410) {
+        expiredEndpoints.push(subscription.endpoint);
+      } else {
+        console.error(`[${new Date().toISOString()}] Push failed:`, error.statusCode, error.message);
+      }
+    }
+  }));
+
+  return { sent, expiredEndpoints };
+}
+
+// 評估所有用戶的價格 / 指標警示 - 供 n8n 在 warmup_cache 之後定時調用
+async function handleEvaluateAlerts(request, response) {
+  try {
+    if (!isAuthorizedCronRequest(request)) {
+      return response.status(401).json({ error: '未授權的請求' });
+    }
 
-    for (const { key: apiKey, type: keyType } of twelveDataKeys) {
-      if (historyData) break;
+    const db = getFirestore();
+    const usersSnapshot = await db.collection('users').get();
 
+    // 同一個股票只讀取一次歷史資料
+    const historyBySymbol = new Map();
+    const loadHistory = async (symbol) => {
+      if (historyBySymbol.has(symbol)) return historyBySymbol.get(symbol);
+      let history;
       try {
-        // 檢查是否可以發起請求（rate limit 控制）
-        if (canMakeRequest(keyType)) {
-          // 等待必要的間隔時間
-          const control = rateLimitControl.twelveData[keyType];
-          const waitTime = control.isRateLimited 
-            ? Math.max(0, control.rateLimitResetTime - Date.now())
-            : Math.max(0, (control.lastRequest + control.minInterval) - Date.now());
-
-          if (waitTime > 0) {
-            if (waitTime <= 10000) { // 最多等待10秒
-              console.log(`[${new Date().toISOString()}] Waiting ${waitTime}ms for Twelve Data ${keyType} key rate limit`);
-              await new Promise(resolve => setTimeout(resolve, waitTime));
-              
-              // 重新檢查是否可以發請求
-              if (!canMakeRequest(keyType)) {
-                console.warn(`[${new Date().toISOString()}] Still rate limited after waiting, skipping Twelve Data ${keyType} key`);
-                continue;
-              }
-            } else {
-              console.warn(`[${new Date().toISOString()}] Rate limit wait time too long (${waitTime}ms), skipping Twelve Data ${keyType} key`);
-              continue;
-            }
-          }
-        } else {
-          console.log(`[${new Date().toISOString()}] Skipping rate limited Twelve Data ${keyType} key, trying next`);
+        history = await loadDailyHistory(symbol);
+      } catch (error) {
+        console.error(`[${new Date().toISOString()}] No history for alert symbol ${symbol}:`, error.message);
+        history = null;
+      }
+      historyBySymbol.set(symbol, history);
+      return history;
+    };
+
+    const summary = { usersChecked: 0, alertsChecked: 0, triggered: [], pushSent: 0, skippedSymbols: [] };
+
+    for (const userDoc of usersSnapshot.docs) {
+      const data = userDoc.data();
+      const alerts = Array.isArray(data.alerts) ? data.alerts : [];
+      if (!alerts.some(alert => alert.active !== false)) continue;
+
+      summary.usersChecked++;
+      let changed = false;
+      const triggeredAlerts = [];
+
+      const updatedAlerts = [];
+      for (const alert of alerts) {
+        if (alert.active === false) {
+          updatedAlerts.push(alert);
           continue;
         }
+        summary.alertsChecked++;
 
-        // 記錄請求
-        recordRequest(keyType);
-        
-        const twelveDataUrl = `https://api.twelvedata.com/time_series?symbol=${cleanSymbol}&interval=1day&outputsize=5000&apikey=${apiKey}`;
-        const twelveResponse = await fetch(twelveDataUrl);
-        
-        if (twelveResponse.ok) {
-          const twelveJson = await twelveResponse.json();
-          
-          // 檢查是否有錯誤響應（API 配額用完等）
-          if (twelveJson.code || twelveJson.status === 'error') {
-            // 檢查是否是 rate limit 錯誤
-            if (twelveJson.code === 429 || twelveJson.message.toLowerCase().includes('rate limit') || 
-                twelveJson.message.toLowerCase().includes('quota') || twelveJson.message.toLowerCase().includes('limit exceeded')) {
-              console.warn(`[${new Date().toISOString()}] Rate limit detected for Twelve Data ${keyType} key`);
-              
-              // 設置 rate limit 狀態
-              const control = rateLimitControl.twelveData[keyType];
-              control.isRateLimited = true;
-              control.rateLimitResetTime = Date.now() + (60 * 60 * 1000);
-              
-              apiKeyStatus.twelveData[keyType].lastError = `Rate Limited: ${twelveJson.message}`;
-              continue; // 嘗試下一個 API key
-            } else {
-              console.warn(`[${new Date().toISOString()}] Twelve Data ${keyType} key API error:`, twelveJson.message || twelveJson.code);
-              apiKeyStatus.twelveData[keyType].lastError = `API Error: ${twelveJson.message || twelveJson.code}`;
-              continue; // 嘗試下一個 API key
-            }
+        const history = await loadHistory(alert.symbol);
+        if (!history) {
+          if (!summary.skippedSymbols.includes(alert.symbol)) summary.skippedSymbols.push(alert.symbol);
+          updatedAlerts.push(alert);
+          continue;
+        }
+
+        const evaluation = evaluateAlert(alert, history);
+        if (evaluation.alert !== alert) changed = true;
+        updatedAlerts.push(evaluation.alert);
+
+        if (evaluation.triggered) {
+          triggeredAlerts.push({ alert: evaluation.alert, message: describeAlert(alert, evaluation.result), price: evaluation.result.price });
+        }
+      }
+
+      if (changed) {
+        await userDoc.ref.update({ alerts: updatedAlerts });
+      }
+
+      if (triggeredAlerts.length === 0) continue;
+
+      const subscriptions = Array.isArray(data.pushSubscriptions) ? data.pushSubscriptions : [];
+      const expiredEndpoints = new Set();
+
+      for (const { alert, message, price } of triggeredAlerts) {
+        await userDoc.ref.collection('alertHistory').add({
+          alertId: alert.id,
+          symbol: alert.symbol,
+          type: alert.type,
+          threshold: alert.threshold ?? null,
+          mode: alert.mode,
+          message,
+          price: price ?? null,
+          triggeredAt: alert.lastTriggeredAt
+        });
+
+        if (subscriptions.length > 0) {
+          const pushResult = await sendPushNotifications(subscriptions, {
+            title: 'Kairis 警示觸發',
+            body: message,
+            tag: `alert-${alert.id}`,
+            url: `/?symbol=${encodeURIComponent(alert.symbol)}`
+          });
+          summary.pushSent += pushResult.sent;
+          pushResult.expiredEndpoints.forEach(endpoint => expiredEndpoints.add(endpoint));
+        }
+
+        summary.triggered.push({ userId: userDoc.id, alertId: alert.id, symbol: alert.symbol, message });
+      }
+
+      if (expiredEndpoints.size > 0) {
+        await userDoc.ref.update({
+          pushSubscriptions: subscriptions.filter(sub => !expiredEndpoints.has(sub.endpoint))
+        });
+      }
+    }
+
+    console.log(`[${new Date().toISOString()}] 🔔 Alerts evaluated: ${summary.alertsChecked} alerts, ${summary.triggered.length} triggered`);
+
+    return response.status(200).json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      ...summary
+    });
+
+  } catch (error) {
+    console.error('handleEvaluateAlerts Error:', error);
+    return response.status(500).json({
+      error: '評估警示時發生錯誤',
+      details: error.message
+    });
+  }
+}
+
+// 產生每位用戶的每日盤前簡報 - 供 n8n 在 warmup_cache 完成後調用（可帶 date、userIds、force）
+// 一位用戶呼叫一次 LLM，超過時間預算時回傳 remaining，n8n 重複呼叫直到 completed 為 true
+// 已經有當天簡報的用戶會略過，force 為 true 時重新產生
+async function handleGenerateBriefings(request, response) {
+  try {
+    if (!isAuthorizedCronRequest(request)) {
+      return response.status(401).json({ error: '未授權的請求' });
+    }
+    if (!isTaskConfigured('briefing')) {
+      return response.status(500).json({ error: '每日簡報的 LLM 未設定' });
+    }
+
+    const params = getRequestParams(request);
+    const date = params.date || getMarketClock('TW').localDate;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return response.status(400).json({ error: 'date 格式必須為 YYYY-MM-DD' });
+    }
+    const force = params.force === true || params.force === '1' || params.force === 'true';
+    const userIds = params.userIds ? String(params.userIds).split(',').map(id => id.trim()).filter(Boolean) : null;
+    const finnhubApiKey = process.env.FINNHUB_API_KEY;
+    const today = new Date().toISOString().slice(0, 10);
+    const earningsUntil = shiftIsoDate(date, BRIEFING_EARNINGS_DAYS);
+
+    const db = getFirestore();
+    const usersSnapshot = await db.collection('users').get();
+    const userDocs = usersSnapshot.docs.filter(doc => (!userIds || userIds.includes(doc.id)) && parseUserWatchlists(doc.data()).length > 0);
+
+    // 同一個股票的歷史、新聞與財報只讀取一次，不同用戶共用
+    const memo = new Map();
+    const loadOnce = async (key, loader) => {
+      if (!memo.has(key)) {
+        memo.set(key, loader().catch(error => {
+          console.error(`[${new Date().toISOString()}] Briefing data ${key} unavailable:`, error.message);
+          return null;
+        }));
+      }
+      return memo.get(key);
+    };
+
+    const startedAt = Date.now();
+    const budgetMs = Number(process.env.BRIEFING_TIME_BUDGET_MS) || BRIEFING_TIME_BUDGET_MS;
+    const summary = { generated: [], skipped: [], failed: [], remaining: [] };
+
+    for (const userDoc of userDocs) {
+      if (Date.now() - startedAt > budgetMs) {
+        summary.remaining.push(userDoc.id);
+        continue;
+      }
+
+      const briefingRef = userDoc.ref.collection('briefings').doc(date);
+      if (!force && (await briefingRef.get()).exists) {
+        summary.skipped.push(userDoc.id);
+        continue;
+      }
+
+      try {
+        const data = userDoc.data();
+        const strategy = getUserStrategy(data);
+        const symbols = [...new Set(parseUserWatchlists(data).flatMap(list => list.symbols))].slice(0, BRIEFING_MAX_SYMBOLS);
+        const moves = [];
+        const signals = [];
+        const headlines = [];
+        const earnings = [];
+
+        for (const symbol of symbols) {
+          const history = await loadOnce(`history_${symbol}`, () => loadDailyHistory(symbol));
+          const move = summarizeMove(symbol, history);
+          if (move) moves.push(move);
+
+          const fired = getSignals(history, strategy);
+          if (fired.buy.reasons.length + fired.sell.reasons.length > 0) {
+            signals.push({ symbol, buy: fired.buy.reasons, sell: fired.sell.reasons });
           }
 
-          if (twelveJson.values && Array.isArray(twelveJson.values) && twelveJson.values.length > 0) {
-            // 轉換 Twelve Data 格式到標準格式
-            historyData = twelveJson.values.map(item => ({
-              date: item.datetime,
-              open: parseFloat(item.open),
-              high: parseFloat(item.high),
-              low: parseFloat(item.low),
-              close: parseFloat(item.close),
-              volume: parseInt(item.volume) || 0
-            }));
-            
-            cacheTime = 86400 * 7; // 7天快取
-            console.log(`[${new Date().toISOString()}] Successfully used Twelve Data ${keyType} key:`, historyData.length, 'points');
-            
-            // 更新成功狀態
-            apiKeyStatus.twelveData[keyType].working = true;
-            apiKeyStatus.twelveData[keyType].lastError = null;
-            
-            // 記錄響應頭信息
-            console.log(`[${new Date().toISOString()}] Twelve Data ${keyType} response headers:`, {
-              'x-ratelimit-remaining': twelveResponse.headers.get('x-ratelimit-remaining'),
-              'x-ratelimit-reset': twelveResponse.headers.get('x-ratelimit-reset')
-            });
-            break; // 成功獲取數據，退出循環
-          } else {
-            console.warn(`[${new Date().toISOString()}] Twelve Data ${keyType} key returned no data for ${cleanSymbol}`);
-            apiKeyStatus.twelveData[keyType].lastError = 'No data returned';
+          const news = await loadOnce(`news_${symbol}`, () => loadNewsList(symbol, 1, finnhubApiKey));
+          (news || []).slice(0, BRIEFING_HEADLINES_PER_SYMBOL).forEach(article => headlines.push({ symbol, headline: article.headline }));
+
+          // 台股沒有可用的財報日期來源
+          if (getSymbolMarket(symbol) === 'US' && finnhubApiKey) {
+            const events = await loadOnce(`earnings_${symbol}`, () => getCachedEarnings(symbol, today, finnhubApiKey));
+            (events || [])
+              .filter(event => event.date >= date && event.date <= earningsUntil)
+              .forEach(event => earnings.push({ symbol, date: event.date, hour: event.hour }));
           }
-        } else {
-          // 檢查是否是 rate limit HTTP 錯誤
-          if (twelveResponse.status === 429) {
-            console.warn(`[${new Date().toISOString()}] HTTP 429 Rate limit detected for Twelve Data ${keyType} key`);
-            
-            // 設置 rate limit 狀態
-            const control = rateLimitControl.twelveData[keyType];
-            control.isRateLimited = true;
-            
-            const resetHeader = twelveResponse.headers.get('x-ratelimit-reset');
-            if (resetHeader) {
-              control.rateLimitResetTime = parseInt(resetHeader) * 1000; // 轉換為毫秒
-            } else {
-              control.rateLimitResetTime = Date.now() + (60 * 60 * 1000);
-            }
-            
-            apiKeyStatus.twelveData[keyType].lastError = `HTTP 429: Rate Limited`;
+        }
+
+        const briefing = {
+          date,
+          moves,
+          movers: pickMovers(moves),
+          signals,
+          headlines: headlines.slice(0, BRIEFING_MAX_HEADLINES),
+          earnings,
+          strategyName: strategy.name
+        };
+        const { text } = await generateText('briefing', { prompt: buildBriefingPrompt(briefing) });
+        const content = text.trim();
+        if (!content) {
+          throw new Error('LLM 沒有回傳內容');
+        }
+
+        await briefingRef.set({
+          date,
+          content,
+          symbols,
+          movers: briefing.movers,
+          signals,
+          earnings,
+          headlines: briefing.headlines,
+          strategyName: strategy.name,
+          generatedAt: new Date().toISOString()
+        });
+        summary.generated.push(userDoc.id);
+      } catch (error) {
+        console.error(`[${new Date().toISOString()}] ❌ Briefing failed for ${userDoc.id}:`, error.message);
+        summary.failed.push({ userId: userDoc.id, error: error.message });
+      }
+    }
+
+    console.log(`[${new Date().toISOString()}] 📝 Briefings ${date}: ${summary.generated.length} generated, ${summary.skipped.length} skipped, ${summary.failed.length} failed, ${summary.remaining.length} remaining`);
+
+    return response.status(200).json({
+      success: true,
+      date,
+      completed: summary.remaining.length === 0,
+      ...summary
+    });
+  } catch (error) {
+    console.error('handleGenerateBriefings Error:', error);
+    return response.status(500).json({
+      error: '產生每日簡報時發生錯誤',
+      details: error.message
+    });
+  }
+}
+
+// 記錄每位用戶自選股當天觸發的掃描訊號，並補算先前訊號的 1 / 5 / 20 日報酬 - 供 n8n 在 warmup_cache 完成後調用（可帶 userIds）
+// 訊號以用戶目前選用的策略計算，與前端掃描結果相同；超過時間預算時回傳 remaining，n8n 重複呼叫直到 completed 為 true
+async function handleRecordSignals(request, response) {
+  try {
+    if (!isAuthorizedCronRequest(request)) {
+      return response.status(401).json({ error: '未授權的請求' });
+    }
+
+    const params = getRequestParams(request);
+    const userIds = params.userIds ? String(params.userIds).split(',').map(id => id.trim()).filter(Boolean) : null;
+
+    const db = getFirestore();
+    const usersSnapshot = await db.collection('users').get();
+    const userDocs = usersSnapshot.docs.filter(doc => (!userIds || userIds.includes(doc.id)) && parseUserWatchlists(doc.data()).length > 0);
+
+    // 同一個股票的歷史只讀取一次，不同用戶共用
+    const memo = new Map();
+    const loadHistory = async (symbol) => {
+      if (!memo.has(symbol)) {
+        memo.set(symbol, loadDailyHistory(symbol).catch(error => {
+          console.error(`[${new Date().toISOString()}] Signal history data ${symbol} unavailable:`, error.message);
+          return null;
+        }));
+      }
+      return memo.get(symbol);
+    };
+
+    const startedAt = Date.now();
+    const budgetMs = Number(process.env.SIGNAL_HISTORY_TIME_BUDGET_MS) || SIGNAL_HISTORY_TIME_BUDGET_MS;
+    const summary = { processed: [], recorded: 0, updated: 0, skippedSymbols: [], failed: [], remaining: [] };
+
+    for (const userDoc of userDocs) {
+      if (Date.now() - startedAt > budgetMs) {
+        summary.remaining.push(userDoc.id);
+        continue;
+      }
+
+      try {
+        const data = userDoc.data();
+        const strategy = getUserStrategy(data);
+        const symbols = [...new Set(parseUserWatchlists(data).flatMap(list => list.symbols))].slice(0, SIGNAL_HISTORY_MAX_SYMBOLS);
+        const historyRef = userDoc.ref.collection('signalHistory');
+        const writes = [];
+
+        // 先補算尚未完成的舊訊號（股票可能已經移出自選清單，仍然繼續追蹤）
+        const pendingSnapshot = await historyRef.where('complete', '==', false).get();
+        for (const doc of pendingSnapshot.docs) {
+          const record = doc.data();
+          const outcome = computeSignalReturns(record, await loadHistory(record.symbol));
+          if (outcome) writes.push({ ref: doc.ref, data: outcome, update: true });
+        }
+        const updatedCount = writes.length;
+
+        // 同一個交易日重複執行時（或資料來源仍停在前一個交易日）不覆寫已經存在的紀錄
+        const existingIdsByDate = new Map();
+        const getExistingIds = async (date) => {
+          if (!existingIdsByDate.has(date)) {
+            const snapshot = await historyRef.where('date', '==', date).get();
+            existingIdsByDate.set(date, new Set(snapshot.docs.map(doc => doc.id)));
+          }
+          return existingIdsByDate.get(date);
+        };
+
+        for (const symbol of symbols) {
+          const history = await loadHistory(symbol);
+          if (!history) {
+            if (!summary.skippedSymbols.includes(symbol)) summary.skippedSymbols.push(symbol);
             continue;
-          } else {
-            console.warn(`[${new Date().toISOString()}] Twelve Data ${keyType} key HTTP error:`, twelveResponse.status, twelveResponse.statusText);
-            apiKeyStatus.twelveData[keyType].lastError = `HTTP ${twelveResponse.status}: ${twelveResponse.statusText}`;
           }
+          const records = buildSignalRecords(symbol, history, getSignals(history, strategy), strategy);
+          if (records.length === 0) continue;
+          const existingIds = await getExistingIds(records[0].date);
+          records.forEach(record => {
+            const id = getSignalRecordId(record);
+            if (!existingIds.has(id)) writes.push({ ref: historyRef.doc(id), data: record, update: false });
+          });
+        }
+
+        for (let i = 0; i < writes.length; i += SIGNAL_HISTORY_BATCH_SIZE) {
+          const batch = db.batch();
+          writes.slice(i, i + SIGNAL_HISTORY_BATCH_SIZE).forEach(({ ref, data, update }) => (update ? batch.update(ref, data) : batch.set(ref, data)));
+          await batch.commit();
         }
+
+        summary.processed.push(userDoc.id);
+        summary.updated += updatedCount;
+        summary.recorded += writes.length - updatedCount;
       } catch (error) {
-        console.error(`[${new Date().toISOString()}] Twelve Data ${keyType} key error:`, error.message);
-        apiKeyStatus.twelveData[keyType].lastError = error.message;
+        console.error(`[${new Date().toISOString()}] ❌ Signal history failed for ${userDoc.id}:`, error.message);
+        summary.failed.push({ userId: userDoc.id, error: error.message });
       }
     }
+
+    console.log(`[${new Date().toISOString()}] 📈 Signal history: ${summary.recorded} recorded, ${summary.updated} outcomes updated for ${summary.processed.length} users, ${summary.failed.length} failed, ${summary.remaining.length} remaining`);
+
+    return response.status(200).json({
+      success: true,
+      completed: summary.remaining.length === 0,
+      ...summary
+    });
+  } catch (error) {
+    console.error('handleRecordSignals Error:', error);
+    return response.status(500).json({
+      error: '記錄掃描訊號時發生錯誤',
+      details: error.message
+    });
   }
+}
 
-  // 不使用 Finnhub 作為備用，只使用 yfinance
-  if (false && !historyData) {
-    if (timeframe === '5M') {
-      // 5分線數據 - 使用 Finnhub 作為最後備用
-      cacheTime = 3600; // 快取 1 小時
-      
-      console.log(`[${new Date().toISOString()}] Trying Finnhub as final fallback for 5min data: ${cleanSymbol}`);
-      
-      // 使用Finnhub的分時數據作為最後備用選項
-      const intradayUrl = `https://finnhub.io/api/v1/stock/candle?symbol=${cleanSymbol}&resolution=5&from=${Math.floor(Date.now()/1000) - (5 * 86400)}&to=${Math.floor(Date.now()/1000)}&token=${finnhubApiKey}`;
-      
+// 代號 / 公司名稱搜尋（新增股票視窗的自動完成）：依序嘗試 Yahoo Finance、Finnhub 並合併中文名稱對照，結果在 KV 快取一天
+async function handleSearchSymbols(request, response) {
+  try {
+    const query = normalizeQuery(request.query.q);
+    if (!query) {
+      return response.status(400).json({ error: '必須提供 q 參數' });
+    }
+    if (query.length > 50) {
+      return response.status(400).json({ error: '搜尋字串過長' });
+    }
+
+    const cacheKey = `symbol_search_${query}`;
+    const cached = await safeKvGet(cacheKey);
+    if (cached) {
+      response.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate');
+      return response.status(200).json({ query, results: cached, cached: true });
+    }
+
+    const aliasResults = searchAliases(query);
+    let providerResults = [];
+    let searched = false;
+    for (const name of ['yahoo', 'finnhub']) {
+      const provider = getProvider(name);
+      if (!provider?.isConfigured()) continue;
       try {
-        const intradayResponse = await fetch(intradayUrl);
-        if (intradayResponse.ok) {
-          const intradayJson = await intradayResponse.json();
-          
-          if (intradayJson.s === 'ok' && intradayJson.c?.length > 0) {
-            console.log(`[${new Date().toISOString()}] Using Finnhub intraday data as final fallback:`, intradayJson.c.length, 'points');
-            
-            historyData = intradayJson.c.map((close, i) => ({
-              date: new Date(intradayJson.t[i] * 1000).toISOString(),
-              open: intradayJson.o[i],
-              high: intradayJson.h[i],
-              low: intradayJson.l[i],
-              close: close,
-              volume: intradayJson.v[i]
-            })).slice(-78); // 最多78個5分鐘K線
+        const results = await runWithProvider(name, () => provider.searchSymbols(query));
+        providerResults = results
+          .map(result => {
+            const symbol = toAppSymbol(result.symbol, result.exchangeCode);
+            return symbol && {
+              symbol,
+              name: result.name,
+              exchange: result.exchange,
+              type: result.type,
+              market: getSymbolMarket(symbol)
+            };
+          })
+          .filter(Boolean);
+        searched = true;
+        break;
+      } catch (error) {
+        console.warn(`[${new Date().toISOString()}] ⚠️ Symbol search via ${name} failed:`, error.message);
+      }
+    }
+
+    const results = mergeSearchResults([aliasResults, providerResults]);
+    // 資料來源都失敗時只回傳中文別名結果，不寫入快取
+    if (searched) {
+      await safeKvSet(cacheKey, results, { ex: 86400 });
+    }
+    console.log(`[${new Date().toISOString()}] 🔎 Symbol search "${query}": ${results.length} results`);
+
+    response.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate');
+    return response.status(200).json({ query, results, cached: false });
+  } catch (error) {
+    console.error('handleSearchSymbols Error:', error);
+    return response.status(500).json({
+      error: '搜尋股票代號時發生錯誤',
+      details: error.message
+    });
+  }
+}
+
+// 基本面資料每天更新一次（財報與開放資料都是日更），KV 快取一天讓多位用戶共用
+function getFundamentalsCacheKey(symbol) {
+  return `fundamentals_${symbol}`;
+}
+
+// 一年的日 K 線，計算 52 週區間用，與圖表的 1Y 區間共用快取
+async function loadYearHistory(symbol) {
+  const marketClock = getMarketClock(getSymbolMarket(symbol));
+  const cacheKey = getHistoryCacheKey(symbol, 'D', '1Y', marketClock.sessionDate);
+  const cached = await safeKvGet(cacheKey);
+  if (Array.isArray(cached) && cached.length > 0) return cached;
+
+  const result = await fetchHistoricalData(toProviderSymbol(symbol), null, { range: '1Y' });
+  await safeKvSet(cacheKey, result.data, { ex: getHistoryTtl(marketClock, result.cacheTime) });
+  return result.data;
+}
+
+async function handleFundamentals(request, response) {
+  try {
+    const { symbol } = request.query;
+    if (!symbol) {
+      return response.status(400).json({ error: '必須提供股票代號' });
+    }
+
+    const cacheKey = getFundamentalsCacheKey(symbol);
+    const cached = await safeKvGet(cacheKey);
+    if (cached) {
+      response.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate');
+      return response.status(200).json({ ...cached, cached: true });
+    }
+
+    const market = getSymbolMarket(symbol);
+    const finnhubApiKey = process.env.FINNHUB_API_KEY;
+    if (market === 'US' && !finnhubApiKey) {
+      return response.status(500).json({ error: 'FINNHUB_API_KEY 未設定' });
+    }
+
+    let fundamentals;
+    try {
+      fundamentals = market === 'TW'
+        ? await fetchTwFundamentals(symbol)
+        : await fetchUsFundamentals(symbol, toProviderSymbol(symbol), finnhubApiKey);
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] ❌ Fundamentals failed for ${symbol}:`, error.message);
+      return response.status(404).json({
+        error: `無法獲取 ${symbol} 的基本面資料`,
+        details: error.message
+      });
+    }
+
+    if (fundamentals.week52High === null || fundamentals.week52Low === null) {
+      try {
+        Object.assign(fundamentals, getFiftyTwoWeekRange(await loadYearHistory(symbol)));
+      } catch (error) {
+        console.warn(`[${new Date().toISOString()}] ⚠️ 52-week range unavailable for ${symbol}:`, error.message);
+      }
+    }
+    if (!fundamentals.name) {
+      fundamentals.name = await getCompanyName(toProviderSymbol(symbol), finnhubApiKey);
+    }
+    fundamentals.asOf = new Date().toISOString();
+
+    await safeKvSet(cacheKey, fundamentals, { ex: 86400 });
+    console.log(`[${new Date().toISOString()}] 📑 Fundamentals ${symbol} from ${fundamentals.source}`);
+
+    response.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate');
+    return response.status(200).json({ ...fundamentals, cached: false });
+  } catch (error) {
+    console.error('handleFundamentals Error:', error);
+    return response.status(500).json({
+      error: '取得基本面資料時發生錯誤',
+      details: error.message
+    });
+  }
+}
+
+// 財報日期每檔股票每天查詢一次 Finnhub，一律查完整區間，不同 days 參數共用快取
+async function getCachedEarnings(symbol, today, apiKey) {
+  const cacheKey = `calendar_earnings_${symbol}_${today}`;
+  const cached = await safeKvGet(cacheKey);
+  if (cached) return cached;
+
+  const events = await fetchEarnings(symbol, shiftIsoDate(today, -CALENDAR_LOOKBACK_DAYS), shiftIsoDate(today, CALENDAR_MAX_DAYS), apiKey);
+  await safeKvSet(cacheKey, events, { ex: 86400 });
+  return events;
+}
+
+// 美股股利為全市場資料，一天只呼叫一次 Polygon.io
+// KV 中以 { T: [[exDate, payDate, amount, currency]] } 精簡格式保存
+async function getCachedUsDividends(today) {
+  const cacheKey = `calendar_dividends_US_${today}`;
+  const cached = await safeKvGet(cacheKey);
+  if (cached) return cached;
+  if (!polygonProvider.isConfigured()) return null;
+
+  const dividends = await runWithProvider('polygon', () => (
+    polygonProvider.fetchDividendCalendar(shiftIsoDate(today, -CALENDAR_LOOKBACK_DAYS), shiftIsoDate(today, CALENDAR_MAX_DAYS))
+  ));
+  const compact = {};
+  dividends.forEach(({ symbol, exDate, payDate, amount, currency }) => {
+    (compact[symbol] = compact[symbol] || []).push([exDate, payDate, amount, currency]);
+  });
+  await safeKvSet(cacheKey, compact, { ex: 86400 });
+  return compact;
+}
+
+// 證交所除權除息預告表，一天只下載一次
+async function getCachedTwDividendNotices(today) {
+  const cacheKey = `calendar_dividends_TW_${today}`;
+  const cached = await safeKvGet(cacheKey);
+  if (cached) return cached;
+
+  const notices = await fetchTwDividendNotices();
+  await safeKvSet(cacheKey, notices, { ex: 86400 });
+  return notices;
+}
+
+async function handleCalendar(request, response) {
+  try {
+    const symbols = [...new Set(String(request.query.symbols || '').split(',').map(s => s.trim()).filter(Boolean))];
+    if (symbols.length === 0) {
+      return response.status(400).json({ error: '必須提供 symbols 參數' });
+    }
+    if (symbols.length > CALENDAR_MAX_SYMBOLS) {
+      return response.status(400).json({ error: `一次最多查詢 ${CALENDAR_MAX_SYMBOLS} 檔股票` });
+    }
+    const days = request.query.days ? parseInt(request.query.days, 10) : CALENDAR_MAX_DAYS;
+    if (!Number.isInteger(days) || days < 1 || days > CALENDAR_MAX_DAYS) {
+      return response.status(400).json({ error: `days 必須介於 1 到 ${CALENDAR_MAX_DAYS}` });
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    const from = shiftIsoDate(today, -CALENDAR_LOOKBACK_DAYS);
+    const to = shiftIsoDate(today, days);
+    const usSymbols = symbols.filter(symbol => getSymbolMarket(symbol) === 'US');
+    const twSymbols = symbols.filter(symbol => getSymbolMarket(symbol) === 'TW');
+    const events = [];
+    const unavailable = [];
+
+    // 財報：台股沒有可用的財報日期來源
+    const finnhubApiKey = process.env.FINNHUB_API_KEY;
+    if (usSymbols.length > 0 && !finnhubApiKey) {
+      unavailable.push({ source: 'earnings', error: 'FINNHUB_API_KEY 未設定' });
+    } else {
+      // 每批 10 檔，避免同時大量呼叫 Finnhub
+      for (let i = 0; i < usSymbols.length; i += 10) {
+        const batch = usSymbols.slice(i, i + 10);
+        const results = await Promise.allSettled(batch.map(symbol => getCachedEarnings(symbol, today, finnhubApiKey)));
+        results.forEach((result, index) => {
+          if (result.status === 'fulfilled') {
+            events.push(...result.value.filter(event => event.date >= from && event.date <= to));
           } else {
-            console.warn(`[${new Date().toISOString()}] No intraday data available for ${cleanSymbol}`);
-            throw new Error(`找不到 ${cleanSymbol} 的5分線資料，可能此股票不支援分時數據`);
+            unavailable.push({ source: 'earnings', symbol: batch[index], error: result.reason.message });
           }
-        } else {
-          console.warn(`[${new Date().toISOString()}] Finnhub intraday API request failed for ${cleanSymbol}, status: ${intradayResponse.status}`);
-          throw new Error(`從 Finnhub 獲取分時資料失敗: ${cleanSymbol}`);
-        }
+        });
+      }
+    }
+
+    if (usSymbols.length > 0) {
+      try {
+        const dividends = await getCachedUsDividends(today);
+        if (!dividends) throw new Error('POLYGON_API_KEY 未設定');
+        usSymbols.forEach(symbol => {
+          (dividends[toProviderSymbol(symbol)] || []).forEach(([exDate, payDate, amount, currency]) => {
+            events.push(...toDividendEvents(symbol, { exDate, payDate, amount, currency }, from, to));
+          });
+        });
       } catch (error) {
-        console.error(`[${new Date().toISOString()}] Finnhub intraday fetch error:`, error);
-        throw new Error(`獲取5分線資料時發生錯誤: ${cleanSymbol}`);
+        unavailable.push({ source: 'dividends', market: 'US', error: error.message });
       }
+    }
+
+    if (twSymbols.length > 0) {
+      try {
+        const notices = await getCachedTwDividendNotices(today);
+        matchTwDividends(twSymbols, notices).forEach(({ symbol, ...notice }) => {
+          events.push(...toDividendEvents(symbol, notice, from, to));
+        });
+      } catch (error) {
+        unavailable.push({ source: 'dividends', market: 'TW', error: error.message });
+      }
+    }
+
+    // 距離事件還有幾個交易日（依各市場的交易日曆），已經過去的事件為 null
+    const localDates = { US: getMarketClock('US').localDate, TW: getMarketClock('TW').localDate };
+    const result = sortEvents(events).map(event => {
+      const market = getSymbolMarket(event.symbol);
+      return {
+        ...event,
+        market,
+        tradingDaysUntil: event.date >= localDates[market] ? countTradingDays(market, localDates[market], event.date) : null
+      };
+    });
+
+    if (unavailable.length > 0) {
+      console.warn(`[${new Date().toISOString()}] ⚠️ Calendar partially unavailable:`, unavailable.map(u => `${u.source}${u.symbol ? `(${u.symbol})` : ''}: ${u.error}`).join('; '));
+    }
+    console.log(`[${new Date().toISOString()}] 📅 Calendar ${symbols.length} symbols, ${from}~${to}: ${result.length} events`);
+
+    // 部分來源失敗時縮短 CDN 快取，讓下一次請求有機會補齊
+    response.setHeader('Cache-Control', `s-maxage=${unavailable.length > 0 ? 300 : 3600}, stale-while-revalidate`);
+    return response.status(200).json({ from, to, symbols, events: result, partial: unavailable.length > 0, unavailable });
+  } catch (error) {
+    console.error('handleCalendar Error:', error);
+    return response.status(500).json({
+      error: '取得財報與除息行事曆時發生錯誤',
+      details: error.message
+    });
+  }
+}
+
+// 技術指標 API：action=indicators&symbol=AAPL.US&set=rsi,macd,sma&ma=5,20&timeframe=D&range=3M&series=1
+// 指標由伺服器以快取中的 K 線計算，前端、AI 分析與定時任務取得相同的數值
+// timeframe / range 與報價 API 相同並共用歷史快取，K 線圖的指標序列與圖上的 K 線一致
+async function handleIndicators(request, response) {
+  try {
+    const { symbol, set, timeframe = 'D', series } = request.query;
+    if (!symbol) {
+      return response.status(400).json({ error: '必須提供股票代號' });
+    }
+    if (!HISTORY_TIMEFRAMES.includes(timeframe)) {
+      return response.status(400).json({ error: `不支援的 timeframe: ${timeframe}` });
+    }
+    const range = request.query.range || DEFAULT_RANGE_BY_TIMEFRAME[timeframe] || DEFAULT_RANGE;
+    if (!Object.prototype.hasOwnProperty.call(HISTORY_RANGES, range)) {
+      return response.status(400).json({ error: `不支援的 range: ${range}`, available: Object.keys(HISTORY_RANGES) });
+    }
+
+    const names = set ? set.split(',').map(name => name.trim()).filter(Boolean) : INDICATOR_NAMES;
+    const unknown = names.filter(name => !INDICATOR_NAMES.includes(name));
+    if (unknown.length > 0) {
+      return response.status(400).json({ error: `不支援的指標: ${unknown.join(', ')}`, available: INDICATOR_NAMES });
+    }
+    // ma=5,20,60：K 線圖的自訂均線週期（最多 4 條、每條 2~250），省略時為 DEFAULT_SMA_PERIODS
+    const smaPeriods = request.query.ma ? request.query.ma.split(',').map(Number) : DEFAULT_SMA_PERIODS;
+    if (smaPeriods.length > 4 || smaPeriods.some(period => !Number.isInteger(period) || period < 2 || period > 250)) {
+      return response.status(400).json({ error: `不支援的均線週期: ${request.query.ma}` });
+    }
+
+    let candles;
+    if (timeframe === 'D' && range === DEFAULT_RANGE) {
+      candles = await loadDailyHistory(symbol);
     } else {
-      // 日線數據 - 使用 Finnhub 作為最後備用
-      cacheTime = 86400 * 7; // 快取 7 天
-      
-      console.log(`[${new Date().toISOString()}] Trying Finnhub as final fallback for daily data: ${cleanSymbol}`);
-      
-      try {
-        const finnhubHistoryUrl = `https://finnhub.io/api/v1/stock/candle?symbol=${cleanSymbol}&resolution=D&from=${Math.floor(Date.now()/1000) - (730 * 24 * 60 * 60)}&to=${Math.floor(Date.now()/1000)}&token=${finnhubApiKey}`;
-        const finnhubResponse = await fetch(finnhubHistoryUrl);
-        
-        if (finnhubResponse.ok) {
-          const finnhubJson = await finnhubResponse.json();
-          
-          console.log(`[${new Date().toISOString()}] Finnhub response for ${cleanSymbol}:`, {
-            status: finnhubJson.s,
-            dataLength: finnhubJson.c?.length,
-            hasClose: !!finnhubJson.c,
-            hasOpen: !!finnhubJson.o,
-            hasHigh: !!finnhubJson.h,
-            hasLow: !!finnhubJson.l,
-            hasVolume: !!finnhubJson.v,
-            hasTime: !!finnhubJson.t
-          });
-          
-          if (finnhubJson.s === 'ok' && finnhubJson.c?.length > 0) {
-            historyData = finnhubJson.c.map((close, i) => ({
-              date: new Date(finnhubJson.t[i] * 1000).toISOString().split('T')[0],
-              open: finnhubJson.o[i],
-              high: finnhubJson.h[i],
-              low: finnhubJson.l[i],
-              close: close,
-              volume: finnhubJson.v[i]
-            })).reverse(); // Finnhub返回的數據是倒序的
-            
-            console.log(`[${new Date().toISOString()}] Successfully using Finnhub daily data as final fallback for ${cleanSymbol}:`, historyData.length, 'points');
-          } else {
-            console.warn(`[${new Date().toISOString()}] Finnhub returned invalid data for ${cleanSymbol}:`, {
-              status: finnhubJson.s,
-              message: finnhubJson.s !== 'ok' ? 'API returned error status' : 'No data points available'
-            });
-          }
-        } else {
-          console.warn(`[${new Date().toISOString()}] Finnhub HTTP error for ${cleanSymbol}:`, finnhubResponse.status, finnhubResponse.statusText);
-        }
-      } catch (error) {
-        console.error(`[${new Date().toISOString()}] Finnhub daily fetch error for ${cleanSymbol}:`, error);
-      }
-      
-      if (!historyData) {
-        console.warn(`No historical data found for ${cleanSymbol}, will create placeholder data`);
-        throw new Error(`找不到 ${cleanSymbol} 的歷史資料`);
+      const marketClock = getMarketClock(getSymbolMarket(symbol));
+      const cacheKey = getHistoryCacheKey(symbol, timeframe, range, marketClock.sessionDate);
+      candles = await safeKvGet(cacheKey);
+      if (!candles) {
+        const result = await fetchHistoricalData(toProviderSymbol(symbol), timeframe, { range });
+        candles = result.data;
+        await safeKvSet(cacheKey, candles, { ex: getHistoryTtl(marketClock, result.cacheTime) });
       }
     }
+
+    if (!Array.isArray(candles) || candles.length === 0) {
+      return response.status(404).json({ error: `沒有 ${symbol} 的歷史資料` });
+    }
+
+    const result = computeIndicators(candles, names, { smaPeriods });
+    console.log(`[${new Date().toISOString()}] Indicators ${symbol} (${timeframe}, ${range}): ${names.join(',')} over ${candles.length} candles`);
+
+    return response.status(200).json({
+      symbol,
+      timeframe,
+      range: timeframe === '5M' ? null : range,
+      date: candles[candles.length - 1].date,
+      candles: candles.length,
+      indicators: result.latest,
+      // 序列與 dates 對齊，只有指定 series=1 時才回傳，避免回應過大
+      ...(series === '1' || series === 'true' ? { dates: candles.map(c => c.date), series: result.series } : {})
+    });
+  } catch (error) {
+    console.error('handleIndicators Error:', error);
+    return response.status(500).json({
+      error: '計算技術指標時發生錯誤',
+      details: error.message
+    });
+  }
+}
+
+// 獲取歷史數據的獨立函數 - 依 provider 優先順序自動切換資料來源
+// maxWaitMs：本地 rate limit 需要等待時最多等多久（定時任務可以等，前端請求不等待）
+// 歷史資料支援的時間框架：5 分線、日線，以及由日線彙總的週線 / 月線
+const HISTORY_TIMEFRAMES = ['5M', 'D', 'W', 'M'];
+const DEFAULT_RANGE_BY_TIMEFRAME = { W: '1Y', M: '5Y' };
+
+// 預設區間的日線沿用原本的快取鍵，讓預熱、警示與批量報價共用同一份資料
+function getHistoryCacheKey(symbol, timeframe, range, date) {
+  if (timeframe === '5M') return `global_intraday_${symbol}_${date}`;
+  if (timeframe === 'W' || timeframe === 'M') return `global_history_${symbol}_${timeframe}_${range}_${date}`;
+  return range === DEFAULT_RANGE ? `global_history_${symbol}_${date}` : `global_history_${symbol}_${range}_${date}`;
+}
+
+// 盤中寫入的快取在收盤時過期，收盤後改存最終資料；休市期間資料不會變動，至少保留到下次開盤
+function getHistoryTtl(marketClock, cacheTime) {
+  if (marketClock.isOpen) {
+    return Math.max(60, Math.min(cacheTime, marketClock.secondsUntilClose));
   }
+  return Math.max(cacheTime, marketClock.secondsUntilOpen);
+}
+
+// timeframe 為 W / M 時抓取 range 區間的日線後彙總成週線 / 月線
+async function fetchHistoricalData(cleanSymbol, timeframe, { maxWaitMs = 0, range = DEFAULT_RANGE } = {}) {
+  console.log(`[${new Date().toISOString()}] Fetching historical data for ${cleanSymbol} (${timeframe || 'D'}, ${range})`);
 
-  return { data: historyData, cacheTime };
+  const cacheTime = timeframe === '5M' ? 3600 : 86400 * 7;
+
+  try {
+    const result = await fetchHistoryWithFallback(cleanSymbol, timeframe === '5M' ? '5M' : 'D', { maxWaitMs, range });
+    const data = timeframe === 'W' || timeframe === 'M' ? aggregateCandles(result.candles, timeframe) : result.candles;
+    return { data, cacheTime, source: result.source, name: result.meta?.name };
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] ❌ All data sources failed for ${cleanSymbol}:`, error.message);
+    throw new Error(`無法獲取 ${cleanSymbol} 的歷史資料: ${error.message}`);
+  }
 }
 
 // 處理 API 狀態查詢
@@ -877,29 +1435,15 @@ async function handleApiStatus(_, response) {
         YFINANCE_AVAILABLE: true, // yfinance 不需要 API key
         FINNHUB_API_KEY: !!process.env.FINNHUB_API_KEY,
         TWELVE_DATA_API_KEY: !!process.env.TWELVE_DATA_API_KEY,
-        TWELVE_DATA_API_KEY_BACKUP: !!process.env.TWELVE_DATA_API_KEY_BACKUP,
+        TWELVE_DATA_API_KEY_BACKUP: !!(process.env.TWELVE_DATA_API_KEY_BACKUP || process.env.TWELVE_DATA_BACKUP_API_KEY),
         GEMINI_API_KEY: !!process.env.GEMINI_API_KEY,
+        OPENAI_COMPATIBLE: !!(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL),
         KV_CONFIGURED: KV_ENABLED
       },
-      apiStatus: apiKeyStatus,
-      rateLimitStatus: {
-        twelveData: {
-          primary: {
-            ...rateLimitControl.twelveData.primary,
-            canMakeRequest: canMakeRequest('primary'),
-            nextAvailableTime: rateLimitControl.twelveData.primary.isRateLimited 
-              ? new Date(rateLimitControl.twelveData.primary.rateLimitResetTime).toISOString()
-              : new Date(rateLimitControl.twelveData.primary.lastRequest + rateLimitControl.twelveData.primary.minInterval).toISOString()
-          },
-          backup: {
-            ...rateLimitControl.twelveData.backup,
-            canMakeRequest: canMakeRequest('backup'),
-            nextAvailableTime: rateLimitControl.twelveData.backup.isRateLimited 
-              ? new Date(rateLimitControl.twelveData.backup.rateLimitResetTime).toISOString()
-              : new Date(rateLimitControl.twelveData.backup.lastRequest + rateLimitControl.twelveData.backup.minInterval).toISOString()
-          }
-        }
-      },
+      // 各 LLM 任務使用的模型、提示詞版本與 token 用量（依 serverless instance 計算）
+      llm: getLlmStatus(),
+      // 每個資料來源的即時健康狀態、延遲與配額（依 serverless instance 計算）
+      providers: getProviderStatus(),
       pendingRequests: pendingRequests.size
     };
 
@@ -913,19 +1457,35 @@ async function handleApiStatus(_, response) {
   }
 }
 
+// 美股 / 台股目前的交易時段，前端用來顯示時段標籤並調整更新頻率
+function handleMarketStatus(_, response) {
+  const markets = { US: getMarketClock('US'), TW: getMarketClock('TW') };
+  const anyOpen = Object.values(markets).some(clock => clock.session !== 'closed');
+  response.setHeader('Cache-Control', `s-maxage=${anyOpen ? 60 : 300}, stale-while-revalidate`);
+  return response.status(200).json({
+    timestamp: new Date().toISOString(),
+    markets
+  });
+}
+
 // 處理從 Finnhub (即時) 和 FMP (歷史) 獲取股價資料的邏輯
 async function handleGetStockData(request, response) {
-  let symbol, timeframe; // 在 try 外部宣告變數
+  let symbol, timeframe, range; // 在 try 外部宣告變數
   try {
-    ({ symbol, timeframe } = request.query);
+    ({ symbol, timeframe, range } = request.query);
     if (!symbol) {
       return response.status(400).json({ error: '必須提供股票代號' });
     }
-
-    // 只支援美股，拒絕台股請求
-    if (symbol.includes('.TW')) {
-      return response.status(400).json({ error: '目前暫不支援台股查詢' });
+    if (timeframe && !HISTORY_TIMEFRAMES.includes(timeframe)) {
+      return response.status(400).json({ error: `不支援的 timeframe: ${timeframe}` });
     }
+    if (range && !Object.prototype.hasOwnProperty.call(HISTORY_RANGES, range)) {
+      return response.status(400).json({ error: `不支援的 range: ${range}`, available: Object.keys(HISTORY_RANGES) });
+    }
+    // 週線 / 月線預設使用較長的日線區間，才有足夠的 K 線計算 MACD
+    range = range || DEFAULT_RANGE_BY_TIMEFRAME[timeframe] || DEFAULT_RANGE;
+
+    const market = getSymbolMarket(symbol);
 
     // Log environment for debugging
     console.log('Environment check:', {
@@ -938,86 +1498,33 @@ async function handleGetStockData(request, response) {
       KV_REST_API_TOKEN: !!process.env.KV_REST_API_TOKEN
     });
 
-    // Log current API key status
-    console.log('Current API Key Status:', JSON.stringify(apiKeyStatus, null, 2));
-    
-    // Log current rate limit status
-    console.log('Current Rate Limit Status:', {
-      twelveData: {
-        primary: {
-          canMakeRequest: canMakeRequest('primary'),
-          isRateLimited: rateLimitControl.twelveData.primary.isRateLimited,
-          requestCount: rateLimitControl.twelveData.primary.requestCount,
-          lastRequest: rateLimitControl.twelveData.primary.lastRequest ? new Date(rateLimitControl.twelveData.primary.lastRequest).toISOString() : null
-        },
-        backup: {
-          canMakeRequest: canMakeRequest('backup'),
-          isRateLimited: rateLimitControl.twelveData.backup.isRateLimited,
-          requestCount: rateLimitControl.twelveData.backup.requestCount,
-          lastRequest: rateLimitControl.twelveData.backup.lastRequest ? new Date(rateLimitControl.twelveData.backup.lastRequest).toISOString() : null
-        }
-      }
-    });
+    // Log current provider health
+    console.log('Current Provider Status:', getProviderStatus().map(p => `${p.name}=${p.circuit.state}(${p.quota.available}/${p.quota.capacity})`).join(', '));
 
     const finnhubApiKey = process.env.FINNHUB_API_KEY;
     const polygonApiKey = process.env.POLYGON_API_KEY;
 
-    if (!finnhubApiKey) {
+    // 台股報價來自證交所，不需要 Finnhub
+    if (!finnhubApiKey && market === 'US') {
       return response.status(500).json({ error: 'FINNHUB_API_KEY 未設定' });
     }
     
-    if (!polygonApiKey) {
+    if (!polygonApiKey && market === 'US') {
       console.warn('POLYGON_API_KEY not set, will use yfinance as fallback');
     }
 
-    // 獲取當前日期字符串 (YYYY-MM-DD)
-    const today = new Date().toISOString().split('T')[0];
-    
-    const quoteCacheKey = `quote_finnhub_${symbol}`;
-    // 歷史數據使用全局共用的快取鍵，包含日期
-    const historyCacheKey = timeframe === '5M' ? 
-      `global_intraday_${symbol}_${today}` : 
-      `global_history_${symbol}_${today}`;
+    // 依交易所時區、休市日與提早收盤判斷交易時段（美股 / 台股各自計算）
+    const marketClock = getMarketClock(market);
     
-    // 檢查是否為週末（美股市場關閉）
-    const todayDate = new Date();
-    const dayOfWeek = todayDate.getDay();
-    const isWeekend = dayOfWeek === 0 || dayOfWeek === 6; // 0=週日, 6=週六
-    
-    // 如果是週末，使用上一個交易日的數據
-    let tradingDay = today;
-    let historyData = null; // 初始化歷史數據變數
-    
-    if (isWeekend) {
-      const lastTradingDate = new Date(todayDate);
-      if (dayOfWeek === 0) { // 週日，回到週五
-        lastTradingDate.setDate(lastTradingDate.getDate() - 2);
-      } else { // 週六，回到週五
-        lastTradingDate.setDate(lastTradingDate.getDate() - 1);
-      }
-      tradingDay = lastTradingDate.toISOString().split('T')[0];
-      
-      // 週末時使用上一交易日的快取
-      const weekendHistoryCacheKey = timeframe === '5M' ? 
-        `global_intraday_${symbol}_${tradingDay}` : 
-        `global_history_${symbol}_${tradingDay}`;
-      
-      const weekendData = await safeKvGet(weekendHistoryCacheKey);
-      if (weekendData) {
-        console.log(`Using weekend cache for ${symbol} from ${tradingDay}`);
-        historyData = weekendData;
-      }
-    }
+    // 歷史數據使用全局共用的快取鍵，日期為目前資料所屬的交易日：
+    // 盤中為今天，盤前、盤後與休市時為最近一個已收盤的交易日
+    const historyCacheKey = getHistoryCacheKey(symbol, timeframe, range, marketClock.sessionDate);
 
     let quoteData;
     
     // 即時報價不使用快取，每次都從 API 取得最新資料
-    // quoteData = await safeKvGet(quoteCacheKey);
-    
     // 檢查歷史數據快取
-    if (!historyData) {
-      historyData = await safeKvGet(historyCacheKey);
-    }
+    let historyData = await safeKvGet(historyCacheKey);
     
     console.log(`\n📊 ${symbol} 資料來源檢查:`);
     console.log(`  💰 即時報價: 每次從 API 取得 (不快取)`);
@@ -1029,55 +1536,64 @@ async function handleGetStockData(request, response) {
 
     // 獲取即時報價 - 每次都從 API 取得 - 優先使用 Finnhub，失敗時使用 yfinance
     if (!quoteData) {
-      const finnhubSymbol = symbol.replace(/\.US$/, '');
+      const finnhubSymbol = toProviderSymbol(symbol);
       
-      // 首先嘗試 Finnhub
+      // 首先嘗試 Finnhub（台股改用證交所 MIS）
       try {
-        const profileUrl = `https://finnhub.io/api/v1/stock/profile2?symbol=${finnhubSymbol}&token=${finnhubApiKey}`;
-        const finnhubQuoteUrl = `https://finnhub.io/api/v1/quote?symbol=${finnhubSymbol}&token=${finnhubApiKey}`;
+        if (market === 'TW') {
+          quoteData = await getTwseQuote(symbol);
+          if (!quoteData) {
+            console.warn(`  ⚠️ 證交所報價失敗，嘗試 Yahoo Finance`);
+            throw new Error('TWSE quote unavailable');
+          }
+          console.log(`  ✅ ${symbol} 即時報價來源: TWSE MIS`);
+        } else {
+          const profileUrl = `https://finnhub.io/api/v1/stock/profile2?symbol=${finnhubSymbol}&token=${finnhubApiKey}`;
+          const finnhubQuoteUrl = `https://finnhub.io/api/v1/quote?symbol=${finnhubSymbol}&token=${finnhubApiKey}`;
         
-        const [profileResponse, finnhubQuoteResponse] = await Promise.all([fetch(profileUrl), fetch(finnhubQuoteUrl)]);
+          const [profileResponse, finnhubQuoteResponse] = await Promise.all([fetch(profileUrl), fetch(finnhubQuoteUrl)]);
         
-        if (profileResponse.ok && finnhubQuoteResponse.ok) {
-          const profileJson = await profileResponse.json();
-          const quoteJson = await finnhubQuoteResponse.json();
+          if (profileResponse.ok && finnhubQuoteResponse.ok) {
+            const profileJson = await profileResponse.json();
+            const quoteJson = await finnhubQuoteResponse.json();
 
-          if (quoteJson.c && quoteJson.c !== 0) {
-            console.log(`  ✅ ${symbol} 即時報價來源: Finnhub API`);
-            quoteData = {
-                name: profileJson.name || symbol,
-                price: quoteJson.c,
-                change: quoteJson.d,
-                changePercent: quoteJson.dp,
-                high: quoteJson.h,
-                low: quoteJson.l,
-            };
+            if (quoteJson.c && quoteJson.c !== 0) {
+              console.log(`  ✅ ${symbol} 即時報價來源: Finnhub API`);
+              quoteData = {
+                  name: profileJson.name || symbol,
+                  price: quoteJson.c,
+                  change: quoteJson.d,
+                  changePercent: quoteJson.dp,
+                  high: quoteJson.h,
+                  low: quoteJson.l,
+              };
+            } else {
+              console.warn(`  ⚠️ Finnhub 回傳無效資料，嘗試 Yahoo Finance`);
+              throw new Error('Invalid Finnhub data');
+            }
           } else {
-            console.warn(`  ⚠️ Finnhub 回傳無效資料，嘗試 Yahoo Finance`);
-            throw new Error('Invalid Finnhub data');
+            console.warn(`  ⚠️ Finnhub API 錯誤 (${profileResponse.status}/${finnhubQuoteResponse.status})，嘗試 Yahoo Finance`);
+            throw new Error('Finnhub API error');
           }
-        } else {
-          console.warn(`  ⚠️ Finnhub API 錯誤 (${profileResponse.status}/${finnhubQuoteResponse.status})，嘗試 Yahoo Finance`);
-          throw new Error('Finnhub API error');
         }
       } catch (finnhubError) {
         console.log(`  🔄 切換到 Yahoo Finance 備用 API`);
         
-        // 使用 yfinance 作為備用方案獲取即時報價
+        // 使用 Yahoo Finance 作為備用方案獲取即時報價（經由 provider registry 的限流與斷路器）
         try {
-          // 使用外部 yfinance API 服務
-          const yfinanceData = await getYfinanceData(finnhubSymbol, 'D');
+          const yahoo = getProvider('yahoo');
+          const yfinanceData = await runWithProvider('yahoo', () => yahoo.fetchHistory(finnhubSymbol, 'D'));
             
-          if (yfinanceData.history && yfinanceData.history.length > 0) {
-            const latestData = yfinanceData.history[yfinanceData.history.length - 1];
-            const previousData = yfinanceData.history[yfinanceData.history.length - 2] || latestData;
+          if (yfinanceData.candles && yfinanceData.candles.length > 0) {
+            const latestData = yfinanceData.candles[yfinanceData.candles.length - 1];
+            const previousData = yfinanceData.candles[yfinanceData.candles.length - 2] || latestData;
             
             const change = latestData.close - previousData.close;
             const changePercent = previousData.close !== 0 ? (change / previousData.close) * 100 : 0;
             
             console.log(`  ✅ ${symbol} 即時報價來源: Yahoo Finance API (備用)`);
             quoteData = {
-              name: yfinanceData.name || symbol,
+              name: yfinanceData.meta?.name || symbol,
               price: latestData.close,
               change: change,
               changePercent: changePercent,
@@ -1100,7 +1616,7 @@ async function handleGetStockData(request, response) {
 
     // 從多個數據源獲取歷史資料 (若快取中沒有)
     if (!historyData) {
-      const cleanSymbol = symbol.replace(/\.US$/, '');
+      const cleanSymbol = toProviderSymbol(symbol);
       let cacheTime;
 
       // 檢查是否已經有其他請求正在獲取相同的數據
@@ -1120,7 +1636,7 @@ async function handleGetStockData(request, response) {
         console.log(`  🌐 從即時 API 獲取歷史資料...`);
         
         // 創建一個 Promise 來獲取數據，並將其存儲在 pendingRequests 中
-        const fetchPromise = fetchHistoricalData(cleanSymbol, timeframe, finnhubApiKey, polygonApiKey);
+        const fetchPromise = fetchHistoricalData(cleanSymbol, timeframe, { range });
         pendingRequests.set(requestKey, fetchPromise);
         
         try {
@@ -1144,8 +1660,9 @@ async function handleGetStockData(request, response) {
 
       // 快取新獲取的歷史數據
       if (historyData && cacheTime) {
-        await safeKvSet(historyCacheKey, historyData, { ex: cacheTime });
-        console.log(`[${new Date().toISOString()}] History data cached for ${symbol} with key: ${historyCacheKey}, expires in ${cacheTime} seconds`);
+        const ttl = getHistoryTtl(marketClock, cacheTime);
+        await safeKvSet(historyCacheKey, historyData, { ex: ttl });
+        console.log(`[${new Date().toISOString()}] History data cached for ${symbol} with key: ${historyCacheKey}, expires in ${ttl} seconds`);
       }
     }
 
@@ -1163,10 +1680,20 @@ async function handleGetStockData(request, response) {
     const processedData = {
       symbol: symbol,
       ...quoteData,
+      timeframe: timeframe || 'D',
+      range: timeframe === '5M' ? null : range,
+      session: marketClock.session,
+      sessionDate: marketClock.sessionDate,
+      extendedHours: await getExtendedQuote(symbol, marketClock),
+      // 本益比只在基本面已有快取時附上，不為了報價額外呼叫基本面 API
+      pe: (await safeKvGet(getFundamentalsCacheKey(symbol)))?.pe ?? null,
       history: historyData,
+      // 掃描策略與回測使用的指標序列，與 history 對齊；只有掃描使用的預設區間日線才附上，避免其他時間框架的回應加倍
+      ...((timeframe || 'D') === 'D' && range === DEFAULT_RANGE ? { strategyIndicators: strategyIndicatorSeries(historyData) } : {}),
     };
 
-    response.setHeader('Cache-Control', 's-maxage=60, stale-while-revalidate');
+    // 非盤中時段報價變動少，CDN 快取可以放長
+    response.setHeader('Cache-Control', `s-maxage=${marketClock.isOpen ? 60 : 300}, stale-while-revalidate`);
     return response.status(200).json(processedData);
 
   } catch (error) {
@@ -1182,6 +1709,147 @@ async function handleGetStockData(request, response) {
   }
 }
 
+// 批量報價 - 自選列表與機會掃描一次載入多檔股票
+// 優先使用 Grouped Daily 與 KV 歷史快取，只有在資料不是最新時才呼叫 Finnhub
+async function handleBatchQuotes(request, response) {
+  try {
+    const { symbols } = request.query;
+    if (!symbols) {
+      return response.status(400).json({ error: '必須提供 symbols 參數' });
+    }
+
+    const MAX_SYMBOLS = 50;
+    const symbolList = [...new Set(symbols.split(',').map(s => s.trim().toUpperCase()).filter(Boolean))];
+    if (symbolList.length > MAX_SYMBOLS) {
+      return response.status(400).json({ error: `一次最多查詢 ${MAX_SYMBOLS} 檔股票` });
+    }
+
+    const finnhubApiKey = process.env.FINNHUB_API_KEY;
+    const polygonApiKey = process.env.POLYGON_API_KEY;
+    const marketClocks = { US: getMarketClock('US'), TW: getMarketClock('TW') };
+    // Grouped Daily 只涵蓋美股
+    const hasUsSymbols = symbolList.some(symbol => getSymbolMarket(symbol) === 'US');
+    const grouped = polygonApiKey && hasUsSymbols ? await getLatestGroupedDaily() : null;
+
+    console.log(`[${new Date().toISOString()}] 📦 Batch quotes for ${symbolList.length} symbols (US ${marketClocks.US.isOpen ? 'open' : 'closed'}, TW ${marketClocks.TW.isOpen ? 'open' : 'closed'}, grouped=${grouped?.date || 'none'})`);
+
+    const quotes = {};
+    const missing = [];
+    let quoteCalls = 0;
+
+    // 每批 10 檔，避免同時打出太多 Finnhub 請求
+    const BATCH_SIZE = 10;
+
+    // 先讀取歷史快取，判斷哪些股票需要即時報價
+    const entries = [];
+    for (let i = 0; i < symbolList.length; i += BATCH_SIZE) {
+      const loaded = await Promise.all(symbolList.slice(i, i + BATCH_SIZE).map(async (symbol) => {
+        const cleanSymbol = toProviderSymbol(symbol);
+        const market = getSymbolMarket(symbol);
+        const marketClock = marketClocks[market];
+        let history = await getLatestCachedHistory(symbol);
+
+        // 沒有歷史快取的股票交給前端個別載入
+        if (!history) {
+          missing.push(symbol);
+          return null;
+        }
+
+        // 用 Grouped Daily 補上快取中還沒有的最新一根日 K
+        const groupedBar = market === 'US' ? grouped?.stockMap.get(cleanSymbol) : null;
+        if (groupedBar && history[history.length - 1].date < grouped.date) {
+          history = [...history, groupedBar];
+        }
+
+        const lastBar = history[history.length - 1];
+        return {
+          symbol,
+          cleanSymbol,
+          market,
+          marketClock,
+          history,
+          groupedBar,
+          needsQuote: marketClock.isOpen || lastBar.date < marketClock.lastClosedSessionDate,
+          cachedName: market === 'TW' ? await safeKvGet(`profile_name_${symbol}`) : null
+        };
+      }));
+      entries.push(...loaded.filter(Boolean));
+    }
+
+    // 台股的即時報價與公司名稱都來自證交所 MIS，合併成一次請求（twse 的 token 很少，逐檔查詢很快就會用完）
+    const twSymbols = entries.filter(entry => entry.market === 'TW' && (entry.needsQuote || !entry.cachedName)).map(entry => entry.symbol);
+    const twQuotes = twSymbols.length > 0 ? await getTwseQuotes(twSymbols) : new Map();
+    const extendedQuotes = await getExtendedQuotes(entries.map(entry => entry.symbol), marketClocks.US);
+
+    for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+      await Promise.all(entries.slice(i, i + BATCH_SIZE).map(async (entry) => {
+        const { symbol, cleanSymbol, market, history, groupedBar } = entry;
+        const lastBar = history[history.length - 1];
+        const previousBar = history[history.length - 2] || lastBar;
+
+        let quote = null;
+        let quoteSource;
+        if (entry.needsQuote) {
+          if (market === 'TW') {
+            quoteCalls++;
+            quote = twQuotes.get(symbol) || null;
+            quoteSource = 'twse';
+          } else {
+            if (finnhubApiKey) {
+              quoteCalls++;
+              quote = await getFinnhubQuote(cleanSymbol, finnhubApiKey);
+            }
+            quoteSource = 'finnhub';
+          }
+        }
+        if (!quote) {
+          const change = lastBar.close - previousBar.close;
+          quote = {
+            price: lastBar.close,
+            change,
+            changePercent: previousBar.close !== 0 ? (change / previousBar.close) * 100 : 0,
+            high: lastBar.high,
+            low: lastBar.low
+          };
+          quoteSource = groupedBar ? 'polygon-grouped' : 'history-cache';
+        }
+
+        const name = market === 'TW' ? (entry.cachedName || twQuotes.get(symbol)?.name || null) : await getCompanyName(cleanSymbol, finnhubApiKey);
+
+        quotes[symbol] = {
+          symbol,
+          name: name || symbol,
+          ...quote,
+          extendedHours: extendedQuotes.get(symbol) ?? null,
+          history,
+          strategyIndicators: strategyIndicatorSeries(history),
+          quoteSource
+        };
+      }));
+    }
+
+    console.log(`[${new Date().toISOString()}] ✅ Batch quotes: ${Object.keys(quotes).length} served, ${missing.length} missing, ${quoteCalls} quote calls`);
+
+    response.setHeader('Cache-Control', 's-maxage=60, stale-while-revalidate');
+    return response.status(200).json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      marketOpen: marketClocks.US.isOpen,
+      marketOpenByMarket: { US: marketClocks.US.isOpen, TW: marketClocks.TW.isOpen },
+      groupedDate: grouped?.date || null,
+      quotes,
+      missing
+    });
+
+  } catch (error) {
+    console.error('handleBatchQuotes Error:', error);
+    return response.status(500).json({
+      error: '批量獲取報價時發生錯誤',
+      details: error.message
+    });
+  }
+}
+
 // 處理獲取新聞並翻譯的邏輯 (使用 Finnhub)
 async function handleGetNews(request, response) {
     try {
@@ -1189,39 +1857,40 @@ async function handleGetNews(request, response) {
         if (!symbol) {
             return response.status(400).json({ error: '必須提供股票代號' });
         }
-        const apiSymbol = symbol.replace(/\.US$/, '');
+        const page = request.query.page ? parseInt(request.query.page, 10) : 1;
+        const pageSize = request.query.pageSize ? parseInt(request.query.pageSize, 10) : NEWS_PAGE_SIZE;
+        const days = request.query.days ? parseInt(request.query.days, 10) : NEWS_DEFAULT_DAYS;
+        if (!Number.isInteger(page) || page < 1) {
+            return response.status(400).json({ error: 'page 必須為正整數' });
+        }
+        if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > NEWS_MAX_PAGE_SIZE) {
+            return response.status(400).json({ error: `pageSize 必須介於 1 到 ${NEWS_MAX_PAGE_SIZE}` });
+        }
+        if (!Number.isInteger(days) || days < 1 || days > NEWS_MAX_DAYS) {
+            return response.status(400).json({ error: `days 必須介於 1 到 ${NEWS_MAX_DAYS}` });
+        }
 
         const finnhubApiKey = process.env.FINNHUB_API_KEY;
-        if (!finnhubApiKey) {
+        if (getSymbolMarket(symbol) === 'US' && !finnhubApiKey) {
             return response.status(500).json({ error: 'FINNHUB_API_KEY 未設定' });
         }
 
-        const today = new Date();
-        const sevenDaysAgo = new Date(today);
-        sevenDaysAgo.setDate(today.getDate() - 7);
-        const toDate = today.toISOString().split('T')[0];
-        const fromDate = sevenDaysAgo.toISOString().split('T')[0];
-
-        const newsUrl = `https://finnhub.io/api/v1/company-news?symbol=${apiSymbol}&from=${fromDate}&to=${toDate}&token=${finnhubApiKey}`;
-        const newsResponse = await fetch(newsUrl);
-
-        if (!newsResponse.ok) {
-            throw new Error(`從 Finnhub 獲取新聞失敗: ${symbol}`);
-        }
-        
-        let newsData = await newsResponse.json();
-        newsData = newsData.slice(0, 5);
-
-        const translatedNews = await Promise.all(newsData.map(async (article) => {
-            if (/[a-zA-Z]/.test(article.headline)) {
-                const translatedHeadline = await translateText(article.headline);
-                return { ...article, headline: translatedHeadline || article.headline };
-            }
-            return article;
-        }));
+        const articles = await loadNewsList(symbol, days, finnhubApiKey);
+        const { items, total, hasMore } = paginate(articles, page, pageSize);
+        const companyName = (await getCompanyName(toProviderSymbol(symbol), finnhubApiKey)) || toProviderSymbol(symbol);
+        const enriched = await enrichNewsArticles(items.map(article => ({ ...article, subject: companyName })), symbol);
 
-        response.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate');
-        return response.status(200).json(translatedNews);
+        response.setHeader('Cache-Control', 's-maxage=600, stale-while-revalidate');
+        return response.status(200).json({
+            symbol,
+            days,
+            page,
+            pageSize,
+            total,
+            hasMore,
+            items: enriched,
+            sentiment: aggregateSentiment(enriched)
+        });
 
     } catch (error) {
         console.error('handleGetNews Error:', error);
@@ -1233,70 +1902,488 @@ async function handleGetNews(request, response) {
     }
 }
 
-// 呼叫 Gemini 進行翻譯的輔助函式
-async function translateText(textToTranslate) {
+// 自選清單的新聞摘要：合併每檔股票與大盤的新聞，去除重複後分頁，沿用 get_news 的翻譯與情緒分析
+async function handleNewsDigest(request, response) {
     try {
-        const geminiApiKey = process.env.GEMINI_API_KEY;
-        if (!geminiApiKey) {
-            console.error('GEMINI_API_KEY 未設定，無法翻譯');
-            return null;
+        const symbols = [...new Set(String(request.query.symbols || '').split(',').map(s => s.trim()).filter(Boolean))];
+        const { symbol: symbolFilter } = request.query;
+        const page = request.query.page ? parseInt(request.query.page, 10) : 1;
+        const pageSize = request.query.pageSize ? parseInt(request.query.pageSize, 10) : NEWS_MAX_PAGE_SIZE;
+        const days = request.query.days ? parseInt(request.query.days, 10) : NEWS_DIGEST_DEFAULT_DAYS;
+        const includeMarket = request.query.market !== '0';
+        if (symbols.length > NEWS_DIGEST_MAX_SYMBOLS) {
+            return response.status(400).json({ error: `一次最多合併 ${NEWS_DIGEST_MAX_SYMBOLS} 檔股票的新聞` });
+        }
+        if (!Number.isInteger(page) || page < 1) {
+            return response.status(400).json({ error: 'page 必須為正整數' });
+        }
+        if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > NEWS_MAX_PAGE_SIZE) {
+            return response.status(400).json({ error: `pageSize 必須介於 1 到 ${NEWS_MAX_PAGE_SIZE}` });
+        }
+        if (!Number.isInteger(days) || days < 1 || days > NEWS_MAX_DAYS) {
+            return response.status(400).json({ error: `days 必須介於 1 到 ${NEWS_MAX_DAYS}` });
+        }
+
+        const finnhubApiKey = process.env.FINNHUB_API_KEY;
+        const lists = [];
+        const unavailable = [];
+        const usable = symbols.filter(symbol => getSymbolMarket(symbol) === 'TW' || finnhubApiKey);
+        if (usable.length < symbols.length) {
+            unavailable.push({ source: 'company', error: 'FINNHUB_API_KEY 未設定' });
+        }
+
+        // 每批 10 檔，避免同時大量呼叫 Finnhub / Google News
+        for (let i = 0; i < usable.length; i += 10) {
+            const batch = usable.slice(i, i + 10);
+            const results = await Promise.allSettled(batch.map(symbol => loadNewsList(symbol, days, finnhubApiKey)));
+            results.forEach((result, index) => {
+                if (result.status === 'fulfilled') {
+                    lists.push({ symbol: batch[index], articles: result.value });
+                } else {
+                    unavailable.push({ source: 'company', symbol: batch[index], error: result.reason.message });
+                }
+            });
+        }
+
+        if (includeMarket) {
+            const markets = symbols.length > 0 ? [...new Set(symbols.map(getSymbolMarket))] : ['US'];
+            for (const market of markets) {
+                if (market === 'US' && !finnhubApiKey) continue;
+                try {
+                    lists.push({ symbol: null, articles: await loadMarketNewsList(market, days, finnhubApiKey) });
+                } catch (error) {
+                    unavailable.push({ source: 'market', market, error: error.message });
+                }
+            }
+        }
+
+        let merged = mergeNewsLists(lists);
+        if (symbolFilter === 'market') {
+            merged = merged.filter(article => article.isMarketNews);
+        } else if (symbolFilter) {
+            merged = merged.filter(article => article.symbols.includes(symbolFilter));
+        }
+
+        const { items, total, hasMore } = paginate(merged, page, pageSize);
+        const enriched = await enrichNewsArticles(items.map(article => ({
+            ...article,
+            subject: article.isMarketNews ? 'the overall stock market' : article.symbols.map(toProviderSymbol).join(', ')
+        })), 'digest');
+
+        if (unavailable.length > 0) {
+            console.warn(`[${new Date().toISOString()}] ⚠️ News digest partially unavailable:`, unavailable.map(u => `${u.source}${u.symbol ? `(${u.symbol})` : ''}: ${u.error}`).join('; '));
         }
-        const prompt = `Translate the following English headline to Traditional Chinese. Provide ONLY the translated text, without any original text, quotation marks, or explanations. Headline: "${textToTranslate}"`;
-        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${geminiApiKey}`;
-        const payload = { contents: [{ role: "user", parts: [{ text: prompt }] }] };
-
-        const geminiResponse = await fetch(apiUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
+        console.log(`[${new Date().toISOString()}] 📰 News digest ${symbols.length} symbols (${days}d): ${total} articles after dedupe`);
+
+        response.setHeader('Cache-Control', `s-maxage=${unavailable.length > 0 ? 120 : 600}, stale-while-revalidate`);
+        return response.status(200).json({
+            symbols,
+            days,
+            page,
+            pageSize,
+            total,
+            hasMore,
+            items: enriched,
+            sentiment: aggregateSentiment(enriched),
+            partial: unavailable.length > 0,
+            unavailable
+        });
+    } catch (error) {
+        console.error('handleNewsDigest Error:', error);
+        return response.status(500).json({
+            error: '取得新聞摘要時發生錯誤',
+            details: error.message
         });
+    }
+}
+
+// 整個回溯區間的新聞列表快取 30 分鐘，翻頁時不重複呼叫 Finnhub / Google News
+async function loadNewsList(symbol, days, finnhubApiKey) {
+    const cacheKey = `news_list_${symbol}_${days}`;
+    const cached = await safeKvGet(cacheKey);
+    if (cached) return cached;
+
+    // Finnhub 沒有台股新聞，改用 Google News 中文新聞
+    const list = getSymbolMarket(symbol) === 'TW'
+        ? await getTwStockNews(symbol, days)
+        : await getUsStockNews(symbol, days, finnhubApiKey);
+    const articles = normalizeNewsArticles(list);
+
+    await safeKvSet(cacheKey, articles, { ex: 1800 });
+    console.log(`[${new Date().toISOString()}] 📰 News list ${symbol} (${days}d): ${articles.length} articles`);
+    return articles;
+}
+
+// 大盤新聞：美股使用 Finnhub 一般市場新聞，台股以 Google News 搜尋「台股」
+async function loadMarketNewsList(market, days, finnhubApiKey) {
+    const cacheKey = `news_market_${market}_${days}`;
+    const cached = await safeKvGet(cacheKey);
+    if (cached) return cached;
+
+    let list;
+    if (market === 'TW') {
+        list = await fetchGoogleNews('台股 大盤', days);
+    } else {
+        const newsResponse = await fetch(`https://finnhub.io/api/v1/news?category=general&token=${finnhubApiKey}`);
+        if (!newsResponse.ok) {
+            throw new Error('從 Finnhub 獲取市場新聞失敗');
+        }
+        // 一般市場新聞只提供最近的文章，沒有日期參數，自行過濾回溯區間
+        const since = Math.floor(Date.now() / 1000) - days * 86400;
+        list = (await newsResponse.json()).filter(article => article.datetime >= since);
+    }
+    const articles = normalizeNewsArticles(list);
+
+    await safeKvSet(cacheKey, articles, { ex: 1800 });
+    console.log(`[${new Date().toISOString()}] 📰 Market news ${market} (${days}d): ${articles.length} articles`);
+    return articles;
+}
+
+// 統一 Finnhub 與 Google News 的欄位，依時間由新到舊排序
+function normalizeNewsArticles(list) {
+    return list
+        .filter(article => article.headline && article.url)
+        .map(article => ({
+            id: getArticleId(article),
+            headline: article.headline,
+            source: article.source,
+            url: article.url,
+            datetime: article.datetime,
+            summary: (article.summary || '').slice(0, 500)
+        }))
+        .sort((a, b) => b.datetime - a.datetime);
+}
+
+async function getUsStockNews(symbol, days, finnhubApiKey) {
+    const today = new Date();
+    const fromDate = new Date(today.getTime() - days * 86400000).toISOString().split('T')[0];
+    const toDate = today.toISOString().split('T')[0];
+
+    const newsUrl = `https://finnhub.io/api/v1/company-news?symbol=${toProviderSymbol(symbol)}&from=${fromDate}&to=${toDate}&token=${finnhubApiKey}`;
+    const newsResponse = await fetch(newsUrl);
+
+    if (!newsResponse.ok) {
+        throw new Error(`從 Finnhub 獲取新聞失敗: ${symbol}`);
+    }
+    return newsResponse.json();
+}
+
+// 台股新聞 - 以「代號 中文簡稱」搜尋 Google News
+async function getTwStockNews(symbol, days) {
+    const name = await getCompanyName(symbol);
+    return fetchGoogleNews([toTwCode(symbol), name].filter(Boolean).join(' '), days);
+}
+
+// 搜尋 Google News RSS（繁體中文），轉成與 Finnhub 相同的欄位格式
+async function fetchGoogleNews(query, days) {
+    const rssUrl = `https://news.google.com/rss/search?q=${encodeURIComponent(query)}+when:${days}d&hl=zh-TW&gl=TW&ceid=TW:zh-Hant`;
+    const rssResponse = await fetch(rssUrl);
+
+    if (!rssResponse.ok) {
+        throw new Error(`從 Google News 獲取新聞失敗: ${query}`);
+    }
 
-        if (!geminiResponse.ok) return null;
+    const xml = await rssResponse.text();
+    const decode = (text = '') => text
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"').replace(/&#39;/g, "'")
+        .trim();
+    const readTag = (item, tag) => decode(item.match(new RegExp(`<${tag}[^>]*>([\\s\\S]*?)</${tag}>`))?.[1]);
 
-        const result = await geminiResponse.json();
-        if (result.candidates?.[0]?.content?.parts?.[0]) {
-            return result.candidates[0].content.parts[0].text.replace(/"/g, '');
+    return [...xml.matchAll(/<item>([\s\S]*?)<\/item>/g)].map(([, item]) => {
+        const source = readTag(item, 'source');
+        // Google News 標題格式為「標題 - 媒體名稱」
+        const title = readTag(item, 'title');
+        const headline = source && title.endsWith(` - ${source}`) ? title.slice(0, -(source.length + 3)) : title;
+        return {
+            headline,
+            source,
+            url: readTag(item, 'link'),
+            datetime: Math.floor(new Date(readTag(item, 'pubDate')).getTime() / 1000),
+            summary: ''
+        };
+    });
+}
+
+// 每篇文章的中文標題、情緒與摘要以 scope 與文章 id 快取，同一篇新聞在同一個 scope 只會送給 LLM 一次
+// articles 需帶有 subject（判斷情緒的對象），回傳時移除；情緒依 subject 而不同，
+// 因此個股新聞以股票代號、新聞摘要以 'digest' 作為 scope，兩邊的結果不共用
+async function enrichNewsArticles(articles, scope) {
+    const getCacheKey = (article) => `news_ai_${scope}_${article.id}`;
+    const cached = await Promise.all(articles.map(article => safeKvGet(getCacheKey(article))));
+    const missing = articles.filter((_, index) => !cached[index]);
+    const fresh = new Map();
+
+    if (missing.length > 0) {
+        const results = await analyzeNewsArticles(missing);
+        await Promise.all(missing.map((article, index) => {
+            if (!results[index]) return null;
+            fresh.set(article.id, results[index]);
+            return safeKvSet(getCacheKey(article), results[index], { ex: 86400 * 30 });
+        }));
+        console.log(`[${new Date().toISOString()}] 🤖 News analysis: ${fresh.size}/${missing.length} new, ${articles.length - missing.length} cached`);
+    }
+
+    return articles.map(({ subject, ...article }, index) => {
+        const analysis = cached[index] || fresh.get(article.id) || null;
+        return {
+            ...article,
+            originalHeadline: article.headline,
+            headline: analysis?.headline || article.headline,
+            sentiment: analysis?.sentiment || null,
+            aiSummary: analysis?.summary || null
+        };
+    });
+}
+
+// 呼叫 LLM 一次分析多篇新聞（翻譯標題、判斷情緒、產生摘要），失敗時回傳全部為 null
+async function analyzeNewsArticles(articles) {
+    try {
+        if (!isTaskConfigured('news')) {
+            console.error('新聞分析的 LLM 未設定，無法分析新聞');
+            return articles.map(() => null);
         }
-        return null;
+        const { text } = await generateText('news', { prompt: buildNewsAnalysisPrompt(articles), json: true });
+        return parseNewsAnalysis(text, articles.length);
     } catch (error) {
-        console.error('Translate Error:', error);
-        return null;
+        console.error('News analysis Error:', error);
+        return articles.map(() => null);
     }
 }
 
 
-// 處理呼叫 Gemini API 進行 AI 分析的邏輯
+// 處理呼叫 LLM 進行 AI 分析的邏輯（預設為 Gemini，見 _lib/llm）
+// 以 Server-Sent Events 串流回傳：meta（是否為快取）→ 多個 chunk（文字片段）→ done，失敗時送出 error
+// 結果依股票、交易日與觸發的掃描訊號快取於 KV，regenerate 為 true 時略過快取重新生成
 async function handleGeminiAnalysis(request, response) {
+  let streaming = false;
   try {
-    const geminiApiKey = process.env.GEMINI_API_KEY;
-    if (!geminiApiKey) {
-      return response.status(500).json({ error: 'GEMINI_API_KEY 未設定' });
-    }
-    const { stock, indicators } = request.body;
-    const prompt = `You are a helpful financial analyst assistant for retail investors in Taiwan. Your tone should be neutral, informative, and easy to understand, avoiding hype or definitive financial advice. Based on the following real-time technical data for the stock, provide a brief analysis in Traditional Chinese, formatted in Markdown. Follow this structure: 1. Start with a one-sentence summary in bold. 2. Then, explain the key indicators in a bulleted list. 3. Conclude with the mandatory disclaimer: "此分析僅供參考，不構成任何投資建議。" Data: - Stock Name: ${stock.name} - Current Price: ${stock.price.toFixed(2)} ${stock.currency} - RSI (14D): ${indicators.rsi.toFixed(2)} - Price vs Bollinger Bands (20D): The price is ${stock.price > indicators.bb.upper ? 'above the upper band' : stock.price < indicators.bb.lower ? 'below the lower band' : 'within the bands'}. - Price vs Moving Averages: The price is ${stock.price > indicators.ma20 ? 'above' : 'below'} the 20-day moving average. - Volume Ratio (vs 5D Avg): ${(stock.history[0].volume / indicators.avgVol5).toFixed(2)}x Please provide the analysis.`;
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${geminiApiKey}`;
-    const payload = { contents: [{ role: "user", parts: [{ text: prompt }] }] };
-    const geminiResponse = await fetch(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-    });
-    if (!geminiResponse.ok) {
-        throw new Error(`Gemini API 請求失敗: ${geminiResponse.status}`);
+    if (!isTaskConfigured('analysis')) {
+      return response.status(500).json({ error: 'AI 分析的 LLM 未設定' });
     }
-    const result = await geminiResponse.json();
-    if (result.candidates?.[0]?.content?.parts?.[0]) {
-        const text = result.candidates[0].content.parts[0].text;
-        return response.status(200).json({ analysis: text });
-    } else {
-        throw new Error('從 Gemini API 收到的回應格式不正確。');
+    const { symbol, regenerate } = request.body || {};
+    if (!symbol) {
+      return response.status(400).json({ error: '必須提供股票代號' });
+    }
+
+    const signals = normalizeSignals(request.body.signals);
+    const { sessionDate } = getMarketClock(getSymbolMarket(symbol));
+    const cacheKey = getAnalysisCacheKey(symbol, sessionDate, signals);
+    const cached = regenerate === true ? null : await safeKvGet(cacheKey);
+
+    // 指標一律由伺服器依快取的日線計算，不使用前端送來的數值；快取命中時不需要重新整理資料
+    const prompt = cached ? null : buildAnalysisPrompt(await loadAnalysisContext(symbol, signals));
+
+    response.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    response.setHeader('Cache-Control', 'no-cache, no-transform');
+    response.setHeader('Connection', 'keep-alive');
+    response.status(200);
+    response.flushHeaders?.();
+    streaming = true;
+
+    if (cached) {
+      console.log(`[${new Date().toISOString()}] 🤖 AI analysis cache hit: ${cacheKey}`);
+      response.write(formatSseEvent('meta', { symbol, sessionDate, cached: true, generatedAt: cached.generatedAt }));
+      response.write(formatSseEvent('chunk', { text: cached.analysis }));
+      response.write(formatSseEvent('done', { cached: true, generatedAt: cached.generatedAt }));
+      return response.end();
     }
+
+    response.write(formatSseEvent('meta', { symbol, sessionDate, cached: false, generatedAt: null }));
+    const { text: analysis } = await streamText('analysis', { prompt }, text => {
+      response.write(formatSseEvent('chunk', { text }));
+    });
+    if (!analysis.trim()) {
+      throw new Error('從 LLM 收到的回應格式不正確。');
+    }
+
+    const generatedAt = new Date().toISOString();
+    await safeKvSet(cacheKey, { analysis, generatedAt, signals }, { ex: 86400 * 2 });
+    console.log(`[${new Date().toISOString()}] 🤖 AI analysis generated: ${cacheKey} (${analysis.length} chars)`);
+    response.write(formatSseEvent('done', { cached: false, generatedAt }));
+    return response.end();
   } catch (error) {
     console.error('handleGeminiAnalysis Error:', error);
     console.error('Gemini error stack:', error.stack);
+    // 串流已開始時狀態碼無法更改，改以 error 事件通知前端
+    if (streaming) {
+      response.write(formatSseEvent('error', { error: 'Gemini 分析時發生錯誤', details: error.message }));
+      return response.end();
+    }
     return response.status(500).json({ 
       error: 'Gemini 分析時發生錯誤',
       details: error.message 
     });
   }
 }
+
+// 整理分析所需的技術面、週線、近 30 日區間、新聞標題與掃描訊號（個股問答也使用同一份資料）
+async function loadAnalysisContext(symbol, signals) {
+  const market = getSymbolMarket(symbol);
+  const finnhubApiKey = process.env.FINNHUB_API_KEY;
+  const [history, quote, name] = await Promise.all([
+    loadDailyHistory(symbol),
+    market === 'TW' ? getTwseQuote(symbol) : (finnhubApiKey ? getFinnhubQuote(toProviderSymbol(symbol), finnhubApiKey) : null),
+    getCompanyName(market === 'TW' ? symbol : toProviderSymbol(symbol), finnhubApiKey)
+  ]);
+  const indicators = summarizeIndicators(history);
+
+  // 週線需要較長的區間，一年日線取不到時退回預設區間
+  let yearHistory = history;
+  try {
+    yearHistory = await loadYearHistory(symbol);
+  } catch (error) {
+    console.warn(`[${new Date().toISOString()}] ⚠️ AI analysis year history failed for ${symbol}:`, error.message);
+  }
+
+  let headlines = [];
+  if (market === 'TW' || finnhubApiKey) {
+    try {
+      const articles = await loadNewsList(symbol, NEWS_DEFAULT_DAYS, finnhubApiKey);
+      headlines = articles.slice(0, ANALYSIS_HEADLINE_COUNT).map(article => article.headline);
+    } catch (error) {
+      console.warn(`[${new Date().toISOString()}] ⚠️ AI analysis news failed for ${symbol}:`, error.message);
+    }
+  }
+
+  return {
+    symbol,
+    name: name || toProviderSymbol(symbol),
+    // 報價與名稱都由伺服器取得，不使用前端送來的數值；沒有即時報價時以最新一根日 K 代替
+    quote: quote || { price: indicators.price },
+    price: quote?.price ?? indicators.price,
+    currency: market === 'TW' ? 'TWD' : 'USD',
+    history,
+    indicators,
+    macdState: getMacdState(history.map(candle => candle.close)),
+    weeklyTrend: getWeeklyTrend(yearHistory),
+    range30: getRecentRange(history, 30),
+    headlines,
+    signals
+  };
+}
+
+// ===== 個股問答 =====
+// 對話紀錄依用戶與股票存於 KV：登入 Firebase（含匿名）時以 ID token 驗證的 uid 區分，未設定 Firebase 時使用前端產生的 clientId
+async function resolveChatUserKey(body) {
+  if (body?.idToken) {
+    try {
+      return `uid_${await verifyIdToken(body.idToken)}`;
+    } catch (error) {
+      console.warn(`[${new Date().toISOString()}] ⚠️ Chat ID token verification failed:`, error.message);
+      return null;
+    }
+  }
+  return isValidClientId(body?.clientId) ? `client_${body.clientId.toLowerCase()}` : null;
+}
+
+// chat、chat_history、chat_clear 共用的參數檢查，回傳 null 時已送出錯誤回應
+async function getChatRequestContext(request, response) {
+  const { symbol } = request.body || {};
+  if (!symbol) {
+    response.status(400).json({ error: '必須提供股票代號' });
+    return null;
+  }
+  const userKey = await resolveChatUserKey(request.body);
+  if (!userKey) {
+    response.status(401).json({ error: '無法識別用戶，請重新整理頁面後再試' });
+    return null;
+  }
+  return { symbol, cacheKey: getChatCacheKey(userKey, symbol) };
+}
+
+async function handleChatHistory(request, response) {
+  try {
+    const context = await getChatRequestContext(request, response);
+    if (!context) return;
+    const messages = (await safeKvGet(context.cacheKey)) || [];
+    return response.status(200).json({ symbol: context.symbol, messages });
+  } catch (error) {
+    console.error('handleChatHistory Error:', error);
+    return response.status(500).json({ error: '讀取對話紀錄時發生錯誤', details: error.message });
+  }
+}
+
+async function handleChatClear(request, response) {
+  try {
+    const context = await getChatRequestContext(request, response);
+    if (!context) return;
+    if (KV_ENABLED) {
+      await kv.del(context.cacheKey);
+    }
+    console.log(`[${new Date().toISOString()}] 💬 Chat cleared: ${context.cacheKey}`);
+    return response.status(200).json({ symbol: context.symbol, messages: [] });
+  } catch (error) {
+    console.error('handleChatClear Error:', error);
+    return response.status(500).json({ error: '清除對話時發生錯誤', details: error.message });
+  }
+}
+
+// 每一輪都重新整理報價、K 線、指標與新聞放進系統提示，對話紀錄依 token 預算從最舊的開始捨棄
+async function handleChat(request, response) {
+  try {
+    if (!isTaskConfigured('chat')) {
+      return response.status(500).json({ error: '個股問答的 LLM 未設定' });
+    }
+    const context = await getChatRequestContext(request, response);
+    if (!context) return;
+    const message = typeof request.body.message === 'string' ? request.body.message.trim() : '';
+    if (!message) {
+      return response.status(400).json({ error: '必須提供問題' });
+    }
+    if (message.length > CHAT_MAX_MESSAGE_LENGTH) {
+      return response.status(400).json({ error: `問題最多 ${CHAT_MAX_MESSAGE_LENGTH} 字` });
+    }
+
+    const { symbol, cacheKey } = context;
+    const [analysisContext, stored] = await Promise.all([
+      loadAnalysisContext(symbol, { buy: [], sell: [] }),
+      safeKvGet(cacheKey)
+    ]);
+    const history = stored || [];
+
+    const systemPrompt = buildChatSystemPrompt({
+      ...analysisContext,
+      recentCandles: analysisContext.history.slice(-CHAT_RECENT_CANDLES),
+      asOf: new Date().toISOString()
+    });
+    const budget = CHAT_INPUT_TOKEN_BUDGET - estimateTokens(systemPrompt) - estimateTokens(message);
+    const selected = selectHistoryForBudget(history, Math.max(0, budget));
+
+    const result = await generateText('chat', {
+      system: systemPrompt,
+      messages: toChatMessages(selected.messages, message),
+      maxOutputTokens: CHAT_MAX_OUTPUT_TOKENS
+    });
+    const reply = result.text.trim();
+    if (!reply) {
+        throw new Error('從 LLM 收到的回應格式不正確。');
+    }
+
+    const now = new Date().toISOString();
+    const messages = trimStoredMessages([
+      ...history,
+      { role: 'user', text: message, at: now },
+      { role: 'model', text: reply, at: now }
+    ]);
+    await safeKvSet(cacheKey, messages, { ex: CHAT_HISTORY_TTL });
+
+    const usage = result.usage || {};
+    console.log(`[${new Date().toISOString()}] 💬 Chat ${symbol}: ${selected.messages.length} history messages (${selected.omitted} omitted)`);
+
+    return response.status(200).json({
+      symbol,
+      reply,
+      messages,
+      omittedMessages: selected.omitted,
+      usage: { promptTokens: usage.inputTokens ?? null, outputTokens: usage.outputTokens ?? null }
+    });
+  } catch (error) {
+    console.error('handleChat Error:', error);
+    return response.status(500).json({
+      error: '個股問答時發生錯誤',
+      details: error.message
+    });
+  }
+}
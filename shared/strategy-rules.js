@@ -0,0 +1,114 @@
+// 掃描策略的共用規則：預設策略、可用數值、比較方式與條件判斷
+// 檔案路徑: /shared/strategy-rules.js
+// 前端（index.html 以 module script 載入）與伺服器（api/_lib/strategies.js 匯入）共用同一份，修改規則只需改這裡
+// 這個檔案會直接送到瀏覽器，只能使用瀏覽器與 Node 都有的語法，不可匯入其他模組
+//
+// 策略格式：{ id, name, rules: [{ id, side: 'buy' | 'sell', label, weight, conditions }] }
+// 條件格式：{ left, op, right: { type: 'value', value } | { type: 'operand', key, multiplier } }
+// stock 為評估當天的報價快照（需包含到當天為止的 history），indicators 為 indicators.js 的 strategyIndicatorsAt 結果
+
+const value = (v) => ({ type: 'value', value: v });
+const operand = (key, multiplier = 1) => ({ type: 'operand', key, multiplier });
+const rule = (id, side, label, conditions) => ({ id, side, label, weight: 1, conditions });
+
+export const DEFAULT_STRATEGY = {
+  id: 'default',
+  name: '預設策略',
+  builtIn: true,
+  rules: [
+    rule('rsi_oversold', 'buy', 'RSI 接近超賣區', [{ left: 'rsi', op: '<', right: value(35) }]),
+    rule('bb_lower', 'buy', '股價接近布林通道下軌', [{ left: 'price', op: '<=', right: operand('bbLower', 1.01) }]),
+    rule('ma10_retest', 'buy', '股價回測10日線', [
+      { left: 'price', op: '<=', right: operand('ma10') },
+      { left: 'price', op: '>=', right: operand('ma10', 0.98) }
+    ]),
+    rule('volume_up', 'buy', '價漲量增', [
+      { left: 'volume', op: '>', right: operand('avgVol5', 1.5) },
+      { left: 'change', op: '>', right: value(0) }
+    ]),
+    rule('macd_golden', 'buy', 'MACD 黃金交叉', [{ left: 'macd', op: 'crossAbove', right: operand('macdSignal') }]),
+    rule('rsi_overbought', 'sell', 'RSI 接近超買區', [{ left: 'rsi', op: '>', right: value(65) }]),
+    rule('bb_upper', 'sell', '股價接近布林通道上軌', [{ left: 'price', op: '>=', right: operand('bbUpper', 0.99) }]),
+    rule('ma5_deviation', 'sell', '股價與5日線乖離過大', [{ left: 'price', op: '>', right: operand('ma5', 1.08) }]),
+    rule('volume_down', 'sell', '價跌量增', [
+      { left: 'volume', op: '>', right: operand('avgVol5', 1.5) },
+      { left: 'change', op: '<', right: value(0) }
+    ]),
+    rule('macd_death', 'sell', 'MACD 死亡交叉', [{ left: 'macd', op: 'crossBelow', right: operand('macdSignal') }])
+  ]
+};
+
+// prev 代表前一根 K 線的值，只有提供 prev 的數值可以使用「穿越」比較
+// 成交量取 history 最後一根（評估當天）的量，不使用即時報價的累計量
+export const STRATEGY_OPERANDS = {
+  price: { label: '股價', get: (stock) => stock.price },
+  change: { label: '漲跌', get: (stock) => stock.change },
+  changePercent: { label: '漲跌幅 (%)', get: (stock) => stock.changePercent },
+  volume: { label: '成交量', get: (stock) => stock.history?.[stock.history.length - 1]?.volume },
+  avgVol5: { label: '5日均量', get: (stock, ind) => ind.avgVol5 },
+  rsi: { label: 'RSI(14)', get: (stock, ind) => ind.rsi },
+  ma3: { label: '3日線', get: (stock, ind) => ind.ma3 },
+  ma5: { label: '5日線', get: (stock, ind) => ind.ma5 },
+  ma10: { label: '10日線', get: (stock, ind) => ind.ma10 },
+  ma20: { label: '20日線', get: (stock, ind) => ind.ma20 },
+  ma30: { label: '30日線', get: (stock, ind) => ind.ma30 },
+  bbUpper: { label: '布林上軌', get: (stock, ind) => ind.bb.upper },
+  bbMiddle: { label: '布林中軌', get: (stock, ind) => ind.bb.middle },
+  bbLower: { label: '布林下軌', get: (stock, ind) => ind.bb.lower },
+  macd: { label: 'MACD', get: (stock, ind) => ind.macd.macd, prev: (stock, ind) => ind.macd.prevMacd },
+  macdSignal: { label: 'MACD 訊號線', get: (stock, ind) => ind.macd.signal, prev: (stock, ind) => ind.macd.prevSignal },
+  macdHistogram: { label: 'MACD 柱狀體', get: (stock, ind) => ind.macd.histogram },
+  high30: { label: '30日最高', get: (stock, ind) => ind.high30 },
+  low30: { label: '30日最低', get: (stock, ind) => ind.low30 }
+};
+
+export const STRATEGY_COMPARATORS = {
+  '<': '<',
+  '<=': '≤',
+  '>': '>',
+  '>=': '≥',
+  crossAbove: '向上穿越',
+  crossBelow: '向下穿越'
+};
+
+export function evaluateCondition(condition, stock, indicators) {
+  const left = STRATEGY_OPERANDS[condition.left];
+  if (!left) return false;
+  const leftValue = left.get(stock, indicators);
+
+  let rightValue, rightPrev;
+  if (condition.right?.type === 'operand') {
+    const right = STRATEGY_OPERANDS[condition.right.key];
+    if (!right) return false;
+    const multiplier = Number(condition.right.multiplier) || 1;
+    rightValue = right.get(stock, indicators) * multiplier;
+    rightPrev = right.prev ? right.prev(stock, indicators) * multiplier : undefined;
+  } else {
+    rightValue = Number(condition.right?.value);
+    rightPrev = rightValue;
+  }
+  if (!Number.isFinite(leftValue) || !Number.isFinite(rightValue)) return false;
+
+  switch (condition.op) {
+    case '<': return leftValue < rightValue;
+    case '<=': return leftValue <= rightValue;
+    case '>': return leftValue > rightValue;
+    case '>=': return leftValue >= rightValue;
+    case 'crossAbove':
+    case 'crossBelow': {
+      const leftPrev = left.prev?.(stock, indicators);
+      if (!Number.isFinite(leftPrev) || !Number.isFinite(rightPrev)) return false;
+      return condition.op === 'crossAbove'
+        ? leftPrev < rightPrev && leftValue > rightValue
+        : leftPrev > rightPrev && leftValue < rightValue;
+    }
+    default: return false;
+  }
+}
+
+// 回傳策略中所有條件都成立的規則（沒有條件或方向不明的規則不算觸發），訊號格式由呼叫端組成
+export function getTriggeredRules(strategy, stock, indicators) {
+  return strategy.rules.filter(item =>
+    Array.isArray(item.conditions) && item.conditions.length > 0 && ['buy', 'sell'].includes(item.side)
+    && item.conditions.every(condition => evaluateCondition(condition, stock, indicators)));
+}
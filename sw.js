@@ -1,28 +1,163 @@
-const CACHE_NAME = 'kairis-cache-v1';
-const urlsToCache = [
+// Service Worker：版本化的預先快取、API 與 CDN 的 stale-while-revalidate
+// 部署會影響快取內容時（例如新增預先快取的檔案）請遞增 CACHE_VERSION，舊版快取會在 activate 時刪除
+// index.html 一律先走網路，部署後重新整理即可取得新版，離線時才使用快取
+
+const CACHE_VERSION = 'v3';
+const PRECACHE = `kairis-precache-${CACHE_VERSION}`;
+const API_CACHE = `kairis-api-${CACHE_VERSION}`;
+const CDN_CACHE = `kairis-cdn-${CACHE_VERSION}`;
+const CURRENT_CACHES = [PRECACHE, API_CACHE, CDN_CACHE];
+
+const PRECACHE_URLS = [
   '/',
-  '/index.html'
+  '/index.html',
+  '/manifest.json',
+  '/shared/strategy-rules.js',
+  '/icons/icon-192x192.png',
+  '/icons/icon-512x512.png'
 ];
 
+const CDN_HOSTS = ['cdn.tailwindcss.com', 'cdn.jsdelivr.net', 'www.gstatic.com'];
+
+// 定時任務與狀態查詢帶有密鑰或需要即時結果，不寫入快取
+const UNCACHED_ACTIONS = ['warmup_cache', 'warmup_enqueue', 'warmup_status', 'evaluate_alerts', 'record_signals', 'api_status', 'push_public_key'];
+const API_CACHE_MAX_ENTRIES = 200;
+
+// 寫入快取的 API 回應加上取得時間，前端離線時以它顯示資料的時間
+const FETCHED_AT_HEADER = 'X-Kairis-Fetched-At';
+
 self.addEventListener('install', event => {
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then(cache => {
-        console.log('Opened cache');
-        return cache.addAll(urlsToCache);
-      })
+    caches.open(PRECACHE)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith('kairis-') && !CURRENT_CACHES.includes(name))
+        .map(name => {
+          console.log(`Deleting old cache ${name}`);
+          return caches.delete(name);
+        })))
+      .then(() => self.clients.claim())
   );
 });
 
 self.addEventListener('fetch', event => {
-  event.respondWith(
-    caches.match(event.request)
-      .then(response => {
-        if (response) {
-          return response;
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate' || (url.origin === self.location.origin && PRECACHE_URLS.includes(url.pathname))) {
+    event.respondWith(networkFirst(request, PRECACHE));
+  } else if (url.origin === self.location.origin && url.pathname === '/api/get-stock-data') {
+    if (UNCACHED_ACTIONS.includes(url.searchParams.get('action'))) return;
+    // 前端強制更新時送出 Cache-Control: no-cache，改為先走網路，失敗時才使用快取
+    event.respondWith(request.headers.get('Cache-Control') === 'no-cache'
+      ? networkFirst(request, API_CACHE)
+      : staleWhileRevalidate(event, API_CACHE));
+  } else if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(event, CDN_CACHE));
+  }
+});
+
+// CDN 的 <script> 為 no-cors 請求，回應是 opaque（status 0），仍可快取
+function isCacheable(response) {
+  return response.ok || response.type === 'opaque';
+}
+
+async function putInCache(cacheName, request, response) {
+  const cache = await caches.open(cacheName);
+  if (cacheName !== API_CACHE) {
+    await cache.put(request, response);
+    return;
+  }
+  const headers = new Headers(response.headers);
+  headers.set(FETCHED_AT_HEADER, String(Date.now()));
+  await cache.put(request, new Response(await response.blob(), { status: response.status, statusText: response.statusText, headers }));
+  await trimCache(cache, API_CACHE_MAX_ENTRIES);
+}
+
+// Cache Storage 的 keys() 依寫入順序排列，超過上限時刪除最舊的項目
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+async function fetchAndCache(request, cacheName) {
+  const response = await fetch(request);
+  if (isCacheable(response)) {
+    await putInCache(cacheName, request, response.clone());
+  }
+  return response;
+}
+
+async function networkFirst(request, cacheName) {
+  try {
+    return await fetchAndCache(request, cacheName);
+  } catch (error) {
+    const cached = await caches.match(request, { cacheName });
+    if (cached) return cached;
+    // 離線時開啟其他網址（例如 /?symbol=）仍使用快取的首頁
+    if (request.mode === 'navigate') {
+      const shell = await caches.match('/index.html', { cacheName: PRECACHE });
+      if (shell) return shell;
+    }
+    throw error;
+  }
+}
+
+// 有快取時立即回應，同時在背景更新快取；沒有快取時等待網路
+async function staleWhileRevalidate(event, cacheName) {
+  const cached = await caches.match(event.request, { cacheName });
+  const update = fetchAndCache(event.request, cacheName);
+  if (cached) {
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+  }
+  return update;
+}
+
+// Web Push：顯示伺服器送來的警示通知
+self.addEventListener('push', event => {
+  let payload = {};
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch (error) {
+    payload = { body: event.data ? event.data.text() : '' };
+  }
+
+  const title = payload.title || 'Kairis';
+  event.waitUntil(
+    self.registration.showNotification(title, {
+      body: payload.body || '',
+      icon: '/icons/icon-192x192.png',
+      badge: '/icons/icon-192x192.png',
+      tag: payload.tag,
+      data: { url: payload.url || '/' }
+    })
+  );
+});
+
+// 點擊通知時回到已開啟的視窗，沒有的話開新視窗
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const targetUrl = event.notification.data?.url || '/';
+
+  event.waitUntil(
+    clients.matchAll({ type: 'window', includeUncontrolled: true })
+      .then(windowClients => {
+        for (const client of windowClients) {
+          if ('focus' in client) {
+            client.navigate(targetUrl);
+            return client.focus();
+          }
         }
-        return fetch(event.request);
-      }
-    )
+        return clients.openWindow(targetUrl);
+      })
   );
-});
\ No newline at end of file
+});